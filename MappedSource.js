@@ -35,39 +35,76 @@ export class MappedSource
 
     /**
      * Save the source code and the .map
+     * @param {string} filename The file to save to
+     * @param {SaveOptions & SourceMapOptions} [options] Options
      * @returns {void}
      */
-    save(filename)
+    save(filename, options)
     {
-        let mapfile = filename + ".map";
-
-        // Write the final source file
-        let finalSource = `${this.source}\n//# sourceMappingURL=${mapfile}\n`;
-        fs.writeFileSync(filename, finalSource, "utf8");
+        saveWithSourceMap(filename, this.source, this.toSourceMap(filename, options), options);
+    }
 
+    /**
+     * Generate a source map for the mapped points
+     * 
+     * The `sources` of the map are relative to the generated file's 
+     * location (the mapped points' sources are relative to the current
+     * directory).
+     * 
+     * @param {string} filename The name of the generated file
+     * @param {SourceMapOptions} [options] Options
+     * @returns {object} The source map
+     */
+    toSourceMap(filename, options)
+    {
         // Create line map
         let lm = new LineMap(this.source, { lineBase: 1});
 
         // Generate mapping
         let smg = new SourceMapGenerator({
-            file: filename,
+            file: path.basename(filename),
             sourceRoot: "",
         });
 
+        // Sources relative to the map file
+        let mapDir = path.dirname(path.resolve(filename));
+        let sources = new Map();
+        function relativeSource(source)
+        {
+            let relative = sources.get(source);
+            if (relative === undefined)
+            {
+                relative = path.relative(mapDir, path.resolve(source)).replace(/\\/g, "/");
+                sources.set(source, relative);
+            }
+            return relative;
+        }
+
         // Add mappings
         for (let m of this.map)
         {
             smg.addMapping({
                 generated: lm.fromOffset(m.offset),
-                source: m.source,
+                source: relativeSource(m.source),
                 original: { line: m.originalLine, column: m.originalColumn },
-                name: m.name
+                name: options?.names ? m.name : undefined,
             });
         }
+
+        // Embed the original source code
+        if (options?.sourcesContent)
+        {
+            for (let [source, relative] of sources)
+            {
+                if (fs.existsSync(source))
+                    smg.setSourceContent(relative, fs.readFileSync(source, "utf8"));
+            }
+        }
+
         let json = smg.toJSON();
-        delete json.sourcesContent;
-        json.names = [];
-        fs.writeFileSync(mapfile, JSON.stringify(json, null, 2), "utf8");
+        if (!options?.sourcesContent)
+            delete json.sourcesContent;
+        return json;
     }
 
     /**
@@ -80,22 +117,24 @@ export class MappedSource
         // Read the source file
         let source = fs.readFileSync(file, "utf8");
 
-        // Find the source map name
+        // Load the source map (from a file, or inline)
         let map = null;
-        let mapName = /\/\/# sourceMappingURL=(.*)$/m.exec(source);
-        if (mapName)
+        let loaded = loadSourceMap(file, source);
+        if (loaded)
         {
-            source = source.substring(0, mapName.index) + 
-                     source.substring(mapName.index + 1 + mapName[0].length);
-            let fullMapName = path.join(path.dirname(path.resolve(file)), mapName[1]);
-            let smc = new SourceMapConsumer(JSON.parse(fs.readFileSync(fullMapName, "utf8")));
+            let url = findSourceMappingURL(source);
+            source = source.substring(0, url.index) + 
+                     source.substring(url.index + 1 + url.length);
+
+            // Sources are resolved relative to the map (and its sourceRoot)
+            let smc = new SourceMapConsumer(loaded.map, path.resolve(loaded.mapFile ?? file));
             map = [];
             let lm = new LineMap(source, { lineBase: 1 });
             smc.eachMapping(x => {
                 map.push({
                     offset: lm.toOffset(x.generatedLine, x.generatedColumn),
                     name: x.name,
-                    source: x.source,
+                    source: x.source && path.isAbsolute(x.source) ? path.relative(process.cwd(), x.source) : x.source,
                     originalLine: x.originalLine,
                     originalColumn: x.originalColumn,
                 });
@@ -225,4 +264,138 @@ export class MappedSource
         this.splice(this.source.length, 0, str);
     }
 
-}
\ No newline at end of file
+}
+
+
+/**
+ * @typedef SourceMapOptions
+ * @property {boolean} [sourcesContent] Embed the content of the original source 
+ * files in the map (so it works without them, eg: when published to npm)
+ * @property {boolean} [names] Include the names of mapped identifiers in the map
+ */
+
+/**
+ * @typedef SaveOptions
+ * @property {boolean} [inlineMap] Embed the source map in the file as a data URL 
+ * instead of writing a separate .map file
+ */
+
+/**
+ * Save code and its source map, linking the two with a
+ * sourceMappingURL comment
+ * @param {string} filename The file to save the code to (the map is saved to filename + ".map")
+ * @param {string} code The code to save
+ * @param {object} map The source map to save
+ * @param {SaveOptions} [options] Options
+ * @returns {void}
+ */
+export function saveWithSourceMap(filename, code, map, options)
+{
+    // Inline map?
+    if (options?.inlineMap)
+    {
+        fs.writeFileSync(filename, withSourceMappingURL(code, inlineSourceMapURL(map)), "utf8");
+        return;
+    }
+
+    let mapfile = filename + ".map";
+
+    // Write the final source file (the map is always next to it)
+    fs.writeFileSync(filename, withSourceMappingURL(code, sourceMapFileURL(filename)), "utf8");
+
+    // Write the map
+    fs.writeFileSync(mapfile, JSON.stringify(map, null, 2), "utf8");
+}
+
+
+/**
+ * Append a sourceMappingURL comment to code
+ * @param {string} code The code
+ * @param {string} url The URL of the source map
+ * @returns {string} The code with the sourceMappingURL comment
+ */
+export function withSourceMappingURL(code, url)
+{
+    return `${code}\n//# sourceMappingURL=${url}\n`;
+}
+
+/**
+ * Gets the sourceMappingURL of the .map file saved next to a file
+ * @param {string} filename The name of the file
+ * @returns {string} The URL of the map, relative to the file
+ */
+export function sourceMapFileURL(filename)
+{
+    return path.basename(filename) + ".map";
+}
+
+/**
+ * Gets a data URL that embeds a source map
+ * @param {object} map The source map
+ * @returns {string} The base64 encoded data URL
+ */
+export function inlineSourceMapURL(map)
+{
+    return `data:application/json;charset=utf-8;base64,${Buffer.from(JSON.stringify(map)).toString("base64")}`;
+}
+
+/**
+ * Finds the (last) sourceMappingURL comment in code
+ * @param {string} code The code to search
+ * @returns {{url: string, index: number, length: number}} The URL and the position 
+ * of the comment, or null if there isn't one
+ */
+export function findSourceMappingURL(code)
+{
+    let found = null;
+    for (let m of code.matchAll(/\/\/[#@] sourceMappingURL=(.*)$/gm))
+        found = m;
+    if (!found)
+        return null;
+    return {
+        url: found[1].trim(),
+        index: found.index,
+        length: found[0].length,
+    };
+}
+
+/**
+ * Loads the source map referenced by a file's sourceMappingURL comment,
+ * either from an inline data URL, or a .map file relative to the file
+ * @param {string} filename The name of the file
+ * @param {string} code The content of the file
+ * @returns {{map: object, mapFile: string}} The source map and the file it was 
+ * loaded from (null for inline maps), or null if the file doesn't have a map
+ */
+export function loadSourceMap(filename, code)
+{
+    let url = findSourceMappingURL(code);
+    if (!url)
+        return null;
+
+    if (url.url.startsWith("data:"))
+        return { map: parseDataURL(url.url), mapFile: null };
+
+    let mapFile = path.join(path.dirname(path.resolve(filename)), url.url);
+    return { map: JSON.parse(fs.readFileSync(mapFile, "utf8")), mapFile };
+}
+
+/**
+ * Parses a source map from a data URL (base64 or URL encoded)
+ * @param {string} url The data URL
+ * @returns {object} The source map
+ */
+export function parseDataURL(url)
+{
+    let comma = url.indexOf(",");
+    if (!url.startsWith("data:") || comma < 0)
+        throw new Error("invalid data URL");
+
+    let params = url.substring(5, comma).split(";");
+    let data = url.substring(comma + 1);
+    if (params.includes("base64"))
+        data = Buffer.from(data, "base64").toString("utf8");
+    else
+        data = decodeURIComponent(data);
+    return JSON.parse(data);
+}
@@ -2,6 +2,7 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { SourceMapConsumer } from '@jridgewell/source-map';
 import { LineMap } from "@toptensoftware/line-map";
+import { loadSourceMap, parseDataURL } from "./MappedSource.js";
 
 /**
  * Manages the content of a read-only source file
@@ -39,41 +40,106 @@ export class SourceFile
          * @type {LineMap}
          */
         this.lineMap = this.code ? new LineMap(this.code, { lineBase : 1}) : null;
+
+        /**
+         * The name of the .map file the source map was loaded from (null if
+         * there's no map, or it was inline)
+         * @type {string}
+         */
+        this.mapFile = null;
+    }
+
+    /**
+     * Gets the name of an original source file from the source map 
+     * relative to the current directory.  The source map resolves 
+     * names relative to the map's location and its `sourceRoot`.
+     * @param {string} source The source name from the source map
+     * @returns {string}
+     */
+    originalFileName(source)
+    {
+        if (!source || !path.isAbsolute(source))
+            return source;
+        return path.relative(process.cwd(), source);
+    }
+
+    /**
+     * Gets the files the source map was loaded from: the .map file (if 
+     * it wasn't inline) and the original source files it references
+     * @returns {string[]}
+     */
+    mapDependencies()
+    {
+        if (!this.sourceMap)
+            return [];
+        let files = this.sourceMap.sources.filter(x => x).map(x => this.originalFileName(x));
+        if (this.mapFile)
+            files.unshift(this.mapFile);
+        return files;
     }
 
     /**
      * Loads a source file and it's .map file
      * @param {string} sourceFileName Filename of the file to load
-     * @param {string} mapFile Filename of the .map file to load.  Leave null to use name from source file.
+     * @param {string} mapFile Filename of the .map file to load.  Leave null to use the
+     * source file's sourceMappingURL (either a file, or an inline data URL).
+     * @param {string} code The already loaded content of the file.  Leave null to read the file.
      * @returns {SourceFile}
      */
-    static fromFile(sourceFileName, mapFile)
+    static fromFile(sourceFileName, mapFile, code)
     {
         // Read the source
-        let code;
-        if (sourceFileName)
+        if (sourceFileName && code == null)
         {
             code = fs.readFileSync(sourceFileName, "utf8");
         }
 
-        // Work out map file
-        if (!mapFile && code)
+        // Load map
+        let map = null;
+        if (mapFile)
+        {
+            map = JSON.parse(fs.readFileSync(mapFile, "utf8"));
+        }
+        else if (code)
         {
-            let mapName = /\/\/# sourceMappingURL=(.*)$/m.exec(code);
-            if (mapName)
-            {                
-                mapFile = path.join(path.dirname(path.resolve(sourceFileName)), mapName[1]);
-            }
+            let loaded = loadSourceMap(sourceFileName, code);
+            map = loaded?.map;
+            mapFile = loaded?.mapFile;
         }
 
-        // Load map
+        // Sources are resolved relative to the map file (or the source 
+        // file for inline maps)
         let sourceMap;
-        if (mapFile)
+        if (map)
         {
-            sourceMap = new SourceMapConsumer(JSON.parse(fs.readFileSync(mapFile, "utf8")));
+            sourceMap = new SourceMapConsumer(map, path.resolve(mapFile ?? sourceFileName));
         }
 
         // Create source file
-        return new SourceFile(sourceFileName, code, sourceMap);
+        let sourceFile = new SourceFile(sourceFileName, code, sourceMap);
+        if (sourceMap)
+            sourceFile.mapFile = mapFile;
+        return sourceFile;
+    }
+
+    /**
+     * Creates a source file from in-memory code and map
+     * @param {string} filename The name of the file (used to resolve relative file names in the map)
+     * @param {string} code The code content of the file.  Leave null to load from filename.
+     * @param {string | object} map The source map as a JSON string, data URL or object.  Leave 
+     * null to use the map named by the code's sourceMappingURL (if any).
+     * @returns {SourceFile}
+     */
+    static fromCode(filename, code, map)
+    {
+        // Use the map referenced by the code
+        if (map == null)
+            return SourceFile.fromFile(filename, null, code);
+
+        if (code == null)
+            code = fs.readFileSync(filename, "utf8");
+        if (typeof(map) === "string")
+            map = map.startsWith("data:") ? parseDataURL(map) : JSON.parse(map);
+        return new SourceFile(filename, code, new SourceMapConsumer(map, path.resolve(filename)));
     }
 }
\ No newline at end of file
@@ -0,0 +1,16 @@
+/**
+ * Programmatic interface to dts-tool
+ *
+ * ```js
+ * import { flatten } from "@codeonlyjs/dts-tool";
+ *
+ * let result = flatten({ moduleName: "@scope/lib", input: [ "index.d.ts" ] });
+ * ```
+ */
+export { flatten } from "./flatten.js";
+export { extract } from "./extract.js";
+export { apiReport } from "./apiReport.js";
+export { apiDiff, formatApiDiff } from "./apiDiff.js";
+export { saveWithSourceMap } from "./MappedSource.js";
+export { composeSourceMaps } from "./composeMaps.js";
+export { formatDiagnostics } from "./diagnostics.js";
@@ -0,0 +1,341 @@
+import fs from 'node:fs';
+import ts from 'typescript';
+import { extract } from "./extract.js";
+import { declarationSignature } from "./apiReport.js";
+
+/**
+ * @typedef ApiChange
+ * @property {string} namepath The namepath of the changed declaration
+ * @property {string} kind The kind of declaration (eg: "function", "class", "method")
+ * @property {"added" | "removed" | "changed"} change How the declaration changed
+ * @property {"major" | "minor" | "patch"} bump The version bump required by the change
+ * @property {string[]} [old] The old signature(s) (more than one for overloads)
+ * @property {string[]} [new] The new signature(s)
+ * @property {string[]} [details] Descriptions of what changed (eg: parameter changes)
+ */
+
+/**
+ * @typedef ApiDiffOptions
+ * @property {string | import("./flatten.js").InputFile} old The old .d.ts file, or a JSON file produced by extract
+ * @property {string | import("./flatten.js").InputFile} new The new .d.ts file, or a JSON file produced by extract
+ */
+
+/**
+ * @typedef ApiDiffResult
+ * @property {"major" | "minor" | "patch"} bump The recommended version bump
+ * @property {ApiChange[]} changes The changes, sorted by namepath
+ */
+
+const bumps = [ "patch", "minor", "major" ];
+
+/**
+ * Compares two versions of an API and works out what changed
+ * and the recommended semver version bump.
+ * @param {ApiDiffOptions} options Options
+ * @returns {ApiDiffResult}
+ */
+export function apiDiff(options)
+{
+    if (!options.old || !options.new)
+        throw new Error("missing input file");
+
+    let oldDecls = collectDeclarations(loadApi(options.old));
+    let newDecls = collectDeclarations(loadApi(options.new));
+
+    let changes = [];
+
+    // Removed and changed
+    for (let [namepath, oldDecl] of oldDecls)
+    {
+        let newDecl = newDecls.get(namepath);
+        if (!newDecl)
+        {
+            // Don't report members of removed declarations, they're implied
+            if (!hasRemovedParent(namepath))
+            {
+                changes.push({
+                    namepath,
+                    kind: oldDecl.kind,
+                    change: "removed",
+                    bump: "major",
+                    old: oldDecl.signatures,
+                });
+            }
+            continue;
+        }
+
+        let change = compareDeclarations(oldDecl, newDecl);
+        if (change)
+        {
+            changes.push(Object.assign({
+                namepath,
+                kind: newDecl.kind,
+                change: "changed",
+                old: oldDecl.signatures,
+                new: newDecl.signatures,
+            }, change));
+        }
+    }
+
+    // Added
+    for (let [namepath, newDecl] of newDecls)
+    {
+        if (!oldDecls.has(namepath) && !hasAddedParent(namepath))
+        {
+            changes.push({
+                namepath,
+                kind: newDecl.kind,
+                change: "added",
+                bump: "minor",
+                new: newDecl.signatures,
+            });
+        }
+    }
+
+    changes.sort((a, b) => a.namepath < b.namepath ? -1 : a.namepath > b.namepath ? 1 : 0);
+
+    return {
+        bump: changes.reduce((bump, x) => bumps.indexOf(x.bump) > bumps.indexOf(bump) ? x.bump : bump, "patch"),
+        changes,
+    };
+
+    function hasRemovedParent(namepath)
+    {
+        let parent = parentOf(namepath, oldDecls);
+        return parent != null && !newDecls.has(parent);
+    }
+
+    function hasAddedParent(namepath)
+    {
+        let parent = parentOf(namepath, newDecls);
+        return parent != null && !oldDecls.has(parent);
+    }
+}
+
+/**
+ * Formats the result of apiDiff as text
+ * @param {ApiDiffResult} result The result to format
+ * @returns {string}
+ */
+export function formatApiDiff(result)
+{
+    let lines = [];
+    for (let c of result.changes)
+    {
+        lines.push(`${c.change}: ${c.namepath} (${c.kind}) [${c.bump}]`);
+        for (let d of c.details ?? [])
+            lines.push(`    ${d}`);
+        if (c.change == "changed")
+        {
+            c.old?.forEach(x => lines.push(`    - ${x}`));
+            c.new?.forEach(x => lines.push(`    + ${x}`));
+        }
+    }
+
+    if (!result.changes.length)
+        lines.push("No API changes");
+
+    lines.push("");
+    lines.push(`Recommended version bump: ${result.bump}`);
+    return lines.join("\n");
+}
+
+// Load the extracted JSON for an API, either by running
+// extract on a .d.ts file, or from a previously extracted file
+function loadApi(input)
+{
+    if (typeof(input) === "string" && input.endsWith(".json"))
+        return JSON.parse(fs.readFileSync(input, "utf8"));
+
+    return extract({ input }).json;
+}
+
+// Build a map of namepath to declaration (with the signatures
+// of all overloads)
+function collectDeclarations(json)
+{
+    let map = new Map();
+    walk(json);
+    return map;
+
+    function walk(node)
+    {
+        // get/set accessors are reported as part of the property
+        if (node.namepath && node.kind != "get" && node.kind != "set")
+        {
+            let decl = map.get(node.namepath);
+            if (!decl)
+            {
+                decl = {
+                    kind: node.kind,
+                    signatures: [],
+                    nodes: [],
+                };
+                map.set(node.namepath, decl);
+            }
+
+            if (node.definition)
+            {
+                decl.signatures.push(declarationSignature(node));
+                decl.nodes.push(node);
+            }
+            else if (node.kind == "property")
+            {
+                // Combined accessors
+                node.members.forEach(x => decl.signatures.push(declarationSignature(x)));
+            }
+        }
+
+        if (node.kind != "property")
+            node.members?.forEach(walk);
+    }
+}
+
+// Find the closest parent namepath of a declaration that's in a map
+function parentOf(namepath, map)
+{
+    let m;
+    let rx = /^(.*)[.#~][^.#~]*$/;
+    while ((m = rx.exec(namepath)))
+    {
+        namepath = m[1];
+        if (map.has(namepath))
+            return namepath;
+    }
+    return null;
+}
+
+// Compare two versions of a declaration, returning the bump and details
+// of the change, or null if it hasn't changed
+function compareDeclarations(oldDecl, newDecl)
+{
+    if (oldDecl.kind != newDecl.kind)
+    {
+        return {
+            bump: "major",
+            details: [ `changed from ${oldDecl.kind} to ${newDecl.kind}` ],
+        };
+    }
+
+    let removed = oldDecl.signatures.filter(x => !newDecl.signatures.includes(x));
+    let added = newDecl.signatures.filter(x => !oldDecl.signatures.includes(x));
+    if (!removed.length && !added.length)
+        return null;
+
+    // New overloads only
+    if (!removed.length)
+    {
+        return {
+            bump: "minor",
+            details: [ "overload added" ],
+        };
+    }
+
+    // Single function signature, look at the parameters
+    if (removed.length == 1 && added.length == 1 && oldDecl.nodes.length == 1 && newDecl.nodes.length == 1)
+    {
+        let oldSig = parseSignature(oldDecl.nodes[0]);
+        let newSig = parseSignature(newDecl.nodes[0]);
+        if (oldSig && newSig)
+            return compareSignatures(oldSig, newSig);
+    }
+
+    return {
+        bump: "major",
+        details: [ "signature changed" ],
+    };
+}
+
+// Compare the parameters and return types of two function signatures
+function compareSignatures(oldSig, newSig)
+{
+    let details = [];
+    let bump = "patch";
+    function change(b, detail)
+    {
+        details.push(detail);
+        if (bumps.indexOf(b) > bumps.indexOf(bump))
+            bump = b;
+    }
+
+    for (let i = 0; i < Math.max(oldSig.parameters.length, newSig.parameters.length); i++)
+    {
+        let op = oldSig.parameters[i];
+        let np = newSig.parameters[i];
+        if (!np)
+        {
+            change("major", `parameter '${op.name}' removed`);
+        }
+        else if (!op)
+        {
+            if (np.optional)
+                change("minor", `optional parameter '${np.name}' added`);
+            else
+                change("major", `required parameter '${np.name}' added`);
+        }
+        else
+        {
+            if (op.name != np.name)
+                change("patch", `parameter '${op.name}' renamed to '${np.name}'`);
+            if (op.type != np.type)
+                change("major", `parameter '${np.name}' type changed from '${op.type}' to '${np.type}'`);
+            if (op.optional && !np.optional)
+                change("major", `parameter '${np.name}' is now required`);
+            if (!op.optional && np.optional)
+                change("minor", `parameter '${np.name}' is now optional`);
+        }
+    }
+
+    if (oldSig.returnType != newSig.returnType)
+        change("major", `return type changed from '${oldSig.returnType}' to '${newSig.returnType}'`);
+
+    if (oldSig.typeParameters != newSig.typeParameters)
+        change("major", `type parameters changed from '${oldSig.typeParameters}' to '${newSig.typeParameters}'`);
+
+    if (!details.length)
+        change("major", "signature changed");
+
+    return { bump, details };
+}
+
+// Parse the parameters and return type of a function, method or constructor
+function parseSignature(node)
+{
+    let code;
+    switch (node.kind)
+    {
+        case "function":
+            code = node.definition;
+            break;
+
+        case "method":
+        case "constructor":
+            code = `declare class __ {\n${node.definition}\n}`;
+            break;
+
+        default:
+            return null;
+    }
+
+    let ast = ts.createSourceFile("signature.d.ts", code, ts.ScriptTarget.Latest, true);
+    let decl = ast.statements[0];
+    if (decl && ts.isClassDeclaration(decl))
+        decl = decl.members[0];
+    if (!decl?.parameters)
+        return null;
+
+    return {
+        typeParameters: normalizeText(decl.typeParameters?.map(x => x.getText(ast)).join(", ") ?? ""),
+        parameters: decl.parameters.map(x => ({
+            name: x.name.getText(ast),
+            type: normalizeText(x.type?.getText(ast) ?? "any"),
+            optional: !!(x.questionToken || x.initializer || x.dotDotDotToken),
+        })),
+        returnType: normalizeText(decl.type?.getText(ast) ?? "any"),
+    };
+}
+
+function normalizeText(str)
+{
+    return str.replace(/\s+/g, " ").trim();
+}
@@ -0,0 +1,149 @@
+import { extract } from "./extract.js";
+
+/**
+ * @typedef ApiReportOptions
+ * @property {string | import("./flatten.js").InputFile} input The input (flattened) .d.ts file
+ */
+
+/**
+ * @typedef ApiReportResult
+ * @property {string} report The API report
+ * @property {string[]} dependencies The names of all files used to generate the report
+ */
+
+/**
+ * Generates an API report for a .d.ts file.
+ *
+ * The report lists the signatures of all declarations with comments
+ * removed, white-space normalized and declarations sorted by name so
+ * it only changes when the API itself changes.
+ *
+ * @param {ApiReportOptions} options Options
+ * @returns {ApiReportResult}
+ */
+export function apiReport(options)
+{
+    let result = extract({ input: options.input });
+
+    let lines = [];
+    writeMembers(result.json.members, "", true);
+
+    return {
+        report: lines.join("\n") + "\n",
+        dependencies: result.dependencies,
+    };
+
+    function writeMembers(members, indent, topLevel)
+    {
+        for (let m of sortMembers(members))
+        {
+            writeMember(m, indent, topLevel);
+        }
+    }
+
+    function writeMember(m, indent, topLevel)
+    {
+        switch (m.kind)
+        {
+            case "module":
+                if (topLevel)
+                    lines.push(`${indent}declare module "${m.name}" {`);
+                else if (m.name == "global")
+                    lines.push(`${indent}global {`);
+                else
+                    lines.push(`${indent}module "${m.name}" {`);
+                writeMembers(m.members, indent + "    ");
+                lines.push(`${indent}}`);
+                break;
+
+            case "namespace":
+                lines.push(`${indent}${topLevel ? "declare " : ""}namespace ${m.name} {`);
+                writeMembers(m.members, indent + "    ");
+                lines.push(`${indent}}`);
+                break;
+
+            default:
+                if (!m.definition)
+                {
+                    // Combined get/set accessors
+                    writeMembers(m.members, indent);
+                }
+                else if (m.members)
+                {
+                    // Class, interface or type literal, write the members sorted
+                    let body = findBody(m.definition);
+                    lines.push(`${indent}${normalize(m.definition.substring(0, body.start))} {`);
+                    writeMembers(m.members, indent + "    ");
+                    lines.push(`${indent}}${normalize(m.definition.substring(body.end))}`);
+                }
+                else
+                {
+                    lines.push(`${indent}${declarationSignature(m)}`);
+                }
+                break;
+        }
+    }
+}
+
+/**
+ * Gets the normalized signature of a declaration from the JSON produced
+ * by extract.  For classes, interfaces and type literals the members
+ * are omitted (ie: just the "header" of the declaration).
+ * @param {object} member The extracted declaration
+ * @returns {string} The signature, or null if the declaration doesn't have one
+ */
+export function declarationSignature(member)
+{
+    if (!member.definition)
+        return null;
+
+    if (member.kind == "let")
+        return `let ${normalize(member.definition)};`;
+
+    if (member.members)
+    {
+        let body = findBody(member.definition);
+        return `${normalize(member.definition.substring(0, body.start))} { }${normalize(member.definition.substring(body.end))}`;
+    }
+
+    return normalize(member.definition);
+}
+
+// Sort by static, then name.  Array.sort is stable so overloads
+// stay in their declared order
+function sortMembers(members)
+{
+    return members.slice().sort((a, b) => {
+        if (!!a.static != !!b.static)
+            return a.static ? -1 : 1;
+        let an = a.name ?? "";
+        let bn = b.name ?? "";
+        return an < bn ? -1 : an > bn ? 1 : 0;
+    });
+}
+
+// Collapse white-space to a single space
+function normalize(str)
+{
+    return str.replace(/\s+/g, " ").trim();
+}
+
+// Find the range of the body of a class, interface or type literal by
+// matching the braces back from the end of the definition
+function findBody(definition)
+{
+    let end = definition.lastIndexOf("}");
+    let depth = 0;
+    for (let i = end; i >= 0; i--)
+    {
+        if (definition[i] == "}")
+            depth++;
+        else if (definition[i] == "{")
+        {
+            depth--;
+            if (depth == 0)
+                return { start: i, end: end + 1 };
+        }
+    }
+    throw new Error(`unmatched braces in definition: ${definition}`);
+}
@@ -0,0 +1,121 @@
+import fs from 'node:fs';
+import { clargs, showArgs } from "@toptensoftware/clargs";
+import { apiReport } from "./apiReport.js";
+import { unifiedDiff } from "./unifiedDiff.js";
+import { loadConfig } from './config.js';
+
+function showHelp()
+{
+    console.log("\nUsage: npx codeonlyjs/dts-tool api-report <dtsfile>");
+
+    console.log("\nOptions:");
+    showArgs({
+        "<dtsfile>": "The input (flattened) .d.ts file",
+        "    --out:<file>": "The report file (defaults to <dtsfile> with .api.txt extension)",
+        "--check": "Check the report file is up to date instead of writing it",
+        "--config:<file>": "Config file (defaults to dts-tool.config.json/.js in current directory)",
+        "-h, --help":    "Show this help",
+    });
+
+    console.log(`
+Generates a report of the public API declared in a .d.ts file, with 
+comments removed, white-space normalized and declarations sorted. 
+The report is intended to be committed so that changes to the API 
+show up in code review.
+
+With --check, the report is compared to the existing report file and
+if they're different, the differences are shown and the exit code is 1.
+
+Settings can also be read from the "api-report" section of a config 
+file.  Command line arguments override config file settings.
+`);
+}
+
+
+export async function cmdApiReport(tail)
+{
+    let inFile = null;
+    let outFile = null;
+    let configFile = null;
+    let check = false;
+
+    let args = clargs(tail);
+    while (args.next())
+    {
+        switch (args.name)
+        {
+            case "help":
+                showHelp();
+                process.exit();
+
+            case "config":
+                configFile = args.readValue();
+                break;
+
+            case "out":
+                outFile = args.readValue();
+                break;
+
+            case "check":
+                check = true;
+                break;
+
+            case null:
+                if (inFile == null)
+                    inFile = args.readValue();
+                else
+                    console.error(`Too many arguments: ${args.readValue()}`);
+                break;
+
+            default:
+                console.error(`Unknown argument: ${args.name}`);
+                process.exit(7);
+        }
+    }
+
+    // Load config, command line args take precedence
+    let config = await loadConfig(configFile, "api-report");
+    inFile = inFile ?? config.resolvePath(config.input);
+    outFile = outFile ?? config.resolvePath(config.out);
+
+    if (!inFile)
+    {
+        console.error("missing argument: input file");
+        process.exit(7);
+    }
+
+    if (!outFile)
+        outFile = inFile.replace(/\.d\.[mc]?ts$/, "") + ".api.txt";
+
+    // Generate report
+    let result;
+    try
+    {
+        result = apiReport({ input: inFile });
+    }
+    catch (err)
+    {
+        console.error(err.message);
+        process.exit(7);
+    }
+
+    if (!check)
+    {
+        fs.writeFileSync(outFile, result.report, "utf8");
+        return;
+    }
+
+    // Compare with existing report
+    if (!fs.existsSync(outFile))
+    {
+        console.error(`API report '${outFile}' not found, run 'dts-tool api-report' to create it`);
+        process.exit(1);
+    }
+    let diff = unifiedDiff(fs.readFileSync(outFile, "utf8"), result.report, outFile, `${outFile} (current)`);
+    if (diff)
+    {
+        console.error(`The API has changed, run 'dts-tool api-report' to update '${outFile}'\n`);
+        console.error(diff);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,88 @@
+import fs from 'node:fs';
+import { clargs, showArgs } from "@toptensoftware/clargs";
+import { loadSourceMap } from "./MappedSource.js";
+import { composeSourceMaps } from "./composeMaps.js";
+
+function showHelp()
+{
+    console.log("\nUsage: npx codeonlyjs/dts-tool compose-map <file>... [options]");
+
+    console.log("\nComposes a chain of source maps (eg: A→B and B→C) into a single map (A→C)");
+
+    console.log("\nOptions:");
+    showArgs({
+        "<file>": "A .map file, or any file with a sourceMappingURL, in the order the transforms were applied",
+        "--out:<file>": "Where to write the composed map (default is to write to stdout)",
+        "--sources-content": "Include the content of the original sources (where available)",
+        "-h, --help":    "Show this help",
+    });
+}
+
+
+export function cmdComposeMap(tail)
+{
+    let files = [];
+    let outFile = null;
+    let sourcesContent = false;
+    let args = clargs(tail);
+    while (args.next())
+    {
+        switch (args.name)
+        {
+            case "help":
+                showHelp();
+                process.exit();
+
+            case "out":
+                outFile = args.readValue();
+                break;
+
+            case "sources-content":
+                sourcesContent = true;
+                break;
+
+            case null:
+                files.push(args.readValue());
+                break;
+
+            default:
+                console.error(`Unknown argument: ${args.name}`);
+                process.exit(7);
+        }
+    }
+
+    // Check args
+    if (!files.length)
+    {
+        console.error("missing argument: input files");
+        process.exit(7);
+    }
+
+    // Load the maps
+    let maps = [];
+    for (let file of files)
+    {
+        let code = fs.readFileSync(file, "utf8");
+        if (file.endsWith(".map"))
+        {
+            maps.push({ map: JSON.parse(code), mapFile: file });
+            continue;
+        }
+
+        let loaded = loadSourceMap(file, code);
+        if (!loaded)
+        {
+            console.error(`no source map found for '${file}'`);
+            process.exit(7);
+        }
+        maps.push({ map: loaded.map, mapFile: loaded.mapFile ?? file, file });
+    }
+
+    // Compose and write
+    let map = composeSourceMaps(maps, { mapFile: outFile, sourcesContent });
+    let json = JSON.stringify(map, null, 2);
+    if (outFile)
+        fs.writeFileSync(outFile, json, "utf8");
+    else
+        console.log(json);
+}
@@ -0,0 +1,100 @@
+import fs from 'node:fs';
+import { clargs, showArgs } from "@toptensoftware/clargs";
+import { apiDiff, formatApiDiff } from "./apiDiff.js";
+
+function showHelp()
+{
+    console.log("\nUsage: npx codeonlyjs/dts-tool diff <old> <new>");
+
+    console.log("\nOptions:");
+    showArgs({
+        "<old>": "The .d.ts file (or extracted .json file) of the previous release",
+        "<new>": "The .d.ts file (or extracted .json file) of the new release",
+        "--format:<format>": "Output format - \"text\" (default) or \"json\"",
+        "    --out:<file>": "Output file (writes to stdout if not specified)",
+        "-h, --help":    "Show this help",
+    });
+
+    console.log(`
+Compares two versions of an API and lists the declarations that were
+added, removed or changed (by namepath) and recommends a major, minor
+or patch version bump.
+
+Removing a declaration or changing its signature is a major change, 
+except for adding optional parameters or overloads which (like 
+adding new declarations) are minor changes.  If there are no changes
+to the API a patch bump is recommended.
+`);
+}
+
+
+export function cmdDiff(tail)
+{
+    let files = [];
+    let outFile = null;
+    let format = "text";
+
+    let args = clargs(tail);
+    while (args.next())
+    {
+        switch (args.name)
+        {
+            case "help":
+                showHelp();
+                process.exit();
+
+            case "format":
+                format = args.readValue();
+                if (format != "text" && format != "json")
+                {
+                    console.error(`Invalid format: ${format}`);
+                    process.exit(7);
+                }
+                break;
+
+            case "out":
+                outFile = args.readValue();
+                break;
+
+            case null:
+                if (files.length < 2)
+                    files.push(args.readValue());
+                else
+                    console.error(`Too many arguments: ${args.readValue()}`);
+                break;
+
+            default:
+                console.error(`Unknown argument: ${args.name}`);
+                process.exit(7);
+        }
+    }
+
+    if (files.length < 2)
+    {
+        console.error("missing argument: input file");
+        process.exit(7);
+    }
+
+    // Compare
+    let result;
+    try
+    {
+        result = apiDiff({ old: files[0], new: files[1] });
+    }
+    catch (err)
+    {
+        console.error(err.message);
+        process.exit(7);
+    }
+
+    // Write output
+    let output = format == "json" ? JSON.stringify(result, null, 4) : formatApiDiff(result);
+    if (outFile)
+    {
+        fs.writeFileSync(outFile, output, "utf8");
+    }
+    else
+    {
+        console.log(output);
+    }
+}
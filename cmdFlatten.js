@@ -1,27 +1,51 @@
-import path from 'node:path';
-import ts from 'typescript';
-import { MappedSource } from "./MappedSource.js";
-import { find_bol_ws, find_next_line_ws } from './textUtils.js';
-import { SourceFile } from "./SourceFile.js";
 import { clargs, showArgs } from "@toptensoftware/clargs";
-import { 
-    isDeclarationNode, 
-    isExport, 
-    stripQuotes,
-    isPrivateOrInternal
-} from "./utils.js";
-import { createSourceMap } from './sourceMap.js';
-
+import fs from 'node:fs';
+import path from 'node:path';
+import { saveWithSourceMap, withSourceMappingURL, inlineSourceMapURL, sourceMapFileURL } from "./MappedSource.js";
+import { flatten } from "./flatten.js";
+import { loadConfig } from './config.js';
+import { watchFiles } from './watch.js';
+import { diagnosticFormats, reportDiagnostics, hasErrors } from './diagnostics.js';
+import { outputFormats } from './moduleFormat.js';
+import { unifiedDiff } from './unifiedDiff.js';
 
 function showHelp()
 {
     console.log("\nUsage: npx codeonlyjs/dts-tool flatten <modulename> <dtsfile>... ");
+    console.log("   or: npx codeonlyjs/dts-tool flatten --entry:<modulename>=<module>... <dtsfile>... ");
+    console.log("   or: npx codeonlyjs/dts-tool flatten --package:<packagefile> <dtsfile>... ");
+    console.log("   or: npx codeonlyjs/dts-tool flatten --format:module <dtsfile>... ");
 
     console.log("\nOptions:");
     showArgs({
         "<moduleName>": "The module name of the resulting flattened .d.ts file",
-        "<dtsfile>": "The input .d.ts file (or files)",
+        "<dtsfile>": "The input .d.ts file (or files), or JavaScript entry file(s) to compile",
         "--module:<module>": "The name of the module to export (defaults to last in file)",
+        "--entry:<moduleName>=<module>": "Produce a module named <moduleName> exporting <module> (can be used multiple times)",
+        "--package:<file>": "Read the entry points and output files from a package.json file",
+        "    --out:<file>": "Output file (overwrites input file if not specified)",
+        "--format:<format>": "Output format - \"ambient\" (default), \"module\", \"esm\" or \"cjs\" (can be used multiple times)",
+        "--strip-prefix:<prefix>": "Strip declarations whose name starts with <prefix> (default \"_\")",
+        "--keep-internal": "Don't strip declarations marked @internal",
+        "--strip-tag:<tag>": "Strip declarations with JSDoc tag <tag> (eg: \"hidden\")",
+        "--strip-name:<regex>": "Strip declarations whose name matches <regex>",
+        "--strip-kind:<kind>": "Strip declarations of kind <kind> (eg: \"enum\")",
+        "--release:<tag>": "Strip declarations less mature than release tag <tag> (\"public\", \"beta\" or \"alpha\")",
+        "--release-out:<tag>=<file>": "Also write a file trimmed to release tag <tag> (can be used multiple times)",
+        "--report-stripped": "List the declarations that were stripped from the output",
+        "--verify": "Type check the generated file(s) and report any errors",
+        "--references:<mode>": "How to handle references to declarations that aren't exported - \"internal\" (default), \"export\" or \"report\"",
+        "--warnings-as-errors": "Report warnings as errors",
+        "--suppress:<code>": "Don't report diagnostics with code <code> (can be used multiple times)",
+        "--diagnostics-format:<format>": "How to report problems - \"text\" (default), \"json\" or \"github\"",
+        "--sources-content": "Embed the original source code in the generated source map",
+        "--map-names": "Include the names of mapped identifiers in the generated source map",
+        "--inline-map": "Embed the source map in the output file instead of writing a .map file",
+        "--dry-run": "Print the generated declarations instead of writing the output file(s)",
+        "--diff": "Show a unified diff against the existing output file(s) instead of writing them",
+        "--stdout": "Write the generated declarations to stdout with an inline source map",
+        "--config:<file>": "Config file (defaults to dts-tool.config.json/.js in current directory)",
+        "--watch": "Watch input files (and their maps and original sources) and regenerate on change (the output can't overwrite a watched file)",
         "-h, --help":    "Show this help",
     });
 
@@ -34,17 +58,91 @@ Also removes an self referencing imports, redundant exports,
 unneeded @typedef and @callback comment blocks, @internal and
 private declarations.
 
+Use --entry to produce multiple modules from the one set of input 
+files (eg: for package sub-path exports). References between entries
+are rewritten to use the entry module names.
+
+Use --package to read the entry points from the package name and 
+"exports" map of a package.json file.  The tsc module for each entry
+point is derived from the path of its JavaScript file and each 
+entry is written to the .d.ts file advertised for it by the 
+package (ie: its "types" condition, or the "types" field for the 
+main entry point).  Use --out to write all entries to one file.
+
+Declarations that are referenced by the exported declarations but 
+aren't themselves exported are included in the output (without being
+exported, unless --references:export).  Use --references:report to
+report them as warnings instead.
+
+Declarations can also be stripped by JSDoc tag, name and kind (use a
+config file for rules that include declarations that would otherwise
+be stripped).  Use --release to strip @beta, @alpha and @internal
+declarations less mature than a release level and --release-out to
+generate additional files for other release levels from the same input
+(eg: --release:public --release-out:beta=index-beta.d.ts).  Use 
+--report-stripped to list every stripped declaration, with its 
+original location and the reason it was stripped.
+
+By default each module is written as an ambient "declare module" 
+block.  Use --format:module to write a module-style .d.ts file with 
+top-level exports (one module per file, the module name is optional) 
+and --format:esm and/or --format:cjs to write .d.mts and .d.cts files
+(named by replacing the extension of the output file), each with its
+own source map.
+
+If JavaScript files are passed as input, they're compiled in memory
+with the TypeScript compiler to produce the declarations (and map)
+to be flattened.  The output file defaults to the first JavaScript
+file name with a .d.ts extension.
+
+Settings can also be read from the "flatten" section of a config 
+file, in which case the module name isn't required on the command 
+line.  Command line arguments override config file settings.
+
 If input file has a source map, new updated map is generated.
+
+Source maps of the input files can be either separate .map files or 
+inline data URLs.  Use --inline-map to embed the generated map in the
+output file.  The sources in the generated map are relative to the map
+file.  Use --sources-content to embed the original source code in the
+map so it works without the original files (eg: when the package is 
+published without its source folder).
+
+Unless --out is used, the first input file is overwritten with the 
+output.  Use --dry-run or --diff to check the output first.
+
+Problems are reported with a diagnostic code (eg: DTS2001) and, 
+where possible, their location in the original source file.  The 
+exit code is 1 if any errors were reported.
 `);
 }
 
 
-export function cmdFlatten(tail)
+export async function cmdFlatten(tail)
 {
-    let inFiles = [];
     let outFile = null;
-    let moduleName = null;
+    let positional = [];
     let rootModules = [];
+    let entryArgs = [];
+    let packageFile = null;
+    let configFile = null;
+    let stripPrefixes = [];
+    let keepInternal = false;
+    let stripRules = [];
+    let release = null;
+    let releases = null;
+    let references = null;
+    let formats = [];
+    let verify = false;
+    let reportStripped = false;
+    let outputMode = null;
+    let inlineMap = false;
+    let sourcesContent = false;
+    let mapNames = false;
+    let watch = false;
+    let warningsAsErrors = false;
+    let suppress = [];
+    let diagnosticsFormat = null;
 
     let args = clargs(tail);
     while (args.next())
@@ -55,356 +153,334 @@ export function cmdFlatten(tail)
                 showHelp();
                 process.exit();
 
+            case "config":
+                configFile = args.readValue();
+                break;
+
             case "module":
                 rootModules.push(args.readValue());
                 break;
 
-            case "out":
-                outFile = args.readValue();
+            case "entry":
+                let entry = args.readValue();
+                let eq = entry.indexOf("=");
+                if (eq < 0)
+                {
+                    console.error(`Invalid entry: ${entry}, expected <moduleName>=<module>`);
+                    process.exit(7);
+                }
+                entryArgs.push([ entry.substring(0, eq), entry.substring(eq + 1) ]);
                 break;
 
-            case null:
-                if (moduleName == null)
-                    moduleName = args.readValue();
-                else
-                    inFiles.push(args.readValue());
+            case "package":
+                packageFile = args.readValue();
                 break;
 
-            default:
-                console.error(`Unknown argument: ${args.name}`);
-                process.exit(7);
-        }
-    }
-
-    if (!moduleName)
-    {
-        console.error("missing argument: module name");
-        process.exit(7);
-    }
-    
-    if (!inFiles.length)
-    {
-        console.error("missing argument: input file");
-        process.exit(7);
-    }
-
-    let moduleList = [];
-    for (let inFile of inFiles)
-    {
-        // Read input file
-        let source = SourceFile.fromFile(inFile);
-
-        // Parse input file
-        let astFile = ts.createSourceFile(
-            inFile, 
-            source.code,
-            ts.ScriptTarget.Latest, 
-            true, 
-        );
-
-        // Simplify source map
-        let ms = createSourceMap(source, astFile);
-
-        // Build module list
-        moduleList.push(...buildModuleList(ms, astFile));
-    }
+            case "out":
+                outFile = args.readValue();
+                break;
 
-    // If user didn't specify modules to include, just 
-    // use the last defined one
-    if (rootModules.length == 0)
-        rootModules = [ moduleList[moduleList.length - 1].name ];
+            case "strip-prefix":
+                stripPrefixes.push(args.readValue());
+                break;
 
-    // Build module map
-    let moduleMap = new Map();
-    moduleList.forEach(x => moduleMap.set(x.name, x));
+            case "keep-internal":
+                keepInternal = true;
+                break;
 
-    // Resolve all `export ... from "module"`
-    resolveExportDeclarations();
+            case "strip-tag":
+                stripRules.push({ tag: args.readValue() });
+                break;
 
-    // Build initial list of exports
-    let exports = new Set();
-    for (let rm of rootModules)
-    {
-        let mod = getModule(rm);
-        mod?.resolvedExports.forEach(x => exports.add(x))
-    }
+            case "strip-name":
+                stripRules.push({ name: args.readValue() });
+                break;
 
-    // Remove unneeded imports
-    //moduleList.forEach(x => removeImports(x));
+            case "strip-kind":
+                stripRules.push({ kind: args.readValue() });
+                break;
 
-    // Write new file
-    let msOut = new MappedSource();
-    msOut.append(`declare module "${moduleName}" {\n`);
-    Array.from(exports).forEach(x => writeDeclaration(msOut, x));
-    msOut.append(`\n}\n`);
-    msOut.save(outFile ?? inFile);
+            case "release":
+                release = args.readValue();
+                break;
 
+            case "release-out":
+                let releaseOut = args.readValue();
+                let releaseEq = releaseOut.indexOf("=");
+                if (releaseEq < 0)
+                {
+                    console.error(`Invalid release output: ${releaseOut}, expected <tag>=<file>`);
+                    process.exit(7);
+                }
+                releases = releases ?? {};
+                releases[releaseOut.substring(0, releaseEq)] = releaseOut.substring(releaseEq + 1);
+                break;
 
-    function buildModuleList(ms, ast)
-    {
-        let list = [];
-        ts.forEachChild(ast, walk);
-        return list;
+            case "references":
+                references = args.readValue();
+                break;
 
-        function walk(node)
-        {
-            if (ts.isModuleDeclaration(node))
-            {
-                // Get the module name
-                let name = stripQuotes(node.name.getText(ast));
-
-                // Get module
-                let module = {
-                    name,
-                    node,
-                    mappedSource: ms,
-                    exports: getModuleExports(ms, node),
+            case "format":
+                for (let f of args.readValue().split(","))
+                {
+                    if (!outputFormats.includes(f))
+                    {
+                        console.error(`Invalid output format: ${f}`);
+                        process.exit(7);
+                    }
+                    formats.push(f);
                 }
-                list.push(module);
-                return;
-            }
+                break;
 
-            if (node.kind == ts.SyntaxKind.EndOfFileToken)
-                return;
+            case "sources-content":
+                sourcesContent = true;
+                break;
 
-            throw new Error(`Unexpected node kind: ${node.kind}`);
-        }
-    }
+            case "map-names":
+                mapNames = true;
+                break;
 
-    function getModuleExports(ms, module)
-    {
-        let exports = [];
-        ts.forEachChild(module, walk);
-        return exports;
+            case "inline-map":
+                inlineMap = true;
+                break;
 
-        function walk(node)
-        {
-            if (isExport(node) && node.name)
-            {
-                // Get the declaration name
-                let name = node.name.getText();
-                
-                // Get the immediately preceding comment
-                let startPos = node.getStart();
-                let comments = ts.getLeadingCommentRanges(ms.source, node.pos);
-                if (comments && comments.length > 0)
+            case "dry-run":
+            case "diff":
+            case "stdout":
+                if (outputMode && outputMode != args.name)
                 {
-                    startPos = comments[comments.length - 1].pos;
+                    console.error(`--${args.name} can't be used with --${outputMode}`);
+                    process.exit(7);
                 }
+                outputMode = args.name;
+                break;
 
-                // Work out the full range of text
-                let pos = find_bol_ws(ms.source, startPos);
-                let end = find_next_line_ws(ms.source, node.end);
+            case "report-stripped":
+                reportStripped = true;
+                break;
 
-                // Extract it
-                let definition = ms.substring(pos, end);
+            case "verify":
+                verify = true;
+                break;
 
-                exports.push({
-                    name, 
-                    node,
-                    originalPosition: pos,
-                    definition,
-                    mappedSource: ms,
-                });
-            }
-            else if (ts.isExportDeclaration(node))
-            {
-                // Get the module name
-                let moduleSpecifier = stripQuotes(node.moduleSpecifier.getText());
+            case "watch":
+                watch = true;
+                break;
 
-                if (node.exportClause)
-                {
-                    symbols = [];
-                    for (let e of node.exportClause.elements)
-                    {
-                        if (e.propertyName)
-                        {
-                            console.error(`Renaming exports not supported, ignoring "${e.getText()}" in ${module.name.getText()}`);
-                        }
-                        exports.push({
-                            name: e.name.getText(),
-                            from: moduleSpecifier,
-                        });
-                    }
-                }
-                else
+            case "warnings-as-errors":
+                warningsAsErrors = true;
+                break;
+
+            case "suppress":
+                suppress.push(...args.readValue().split(","));
+                break;
+
+            case "diagnostics-format":
+                diagnosticsFormat = args.readValue();
+                if (!diagnosticFormats.includes(diagnosticsFormat))
                 {
-                    exports.push({
-                        name: "*",
-                        from: moduleSpecifier
-                    });
+                    console.error(`Invalid diagnostics format: ${diagnosticsFormat}`);
+                    process.exit(7);
                 }
-                // Get the module name
-                return;
-            }
-            if (ts.isModuleBlock(node))
-            {
-                ts.forEachChild(node, walk);
-            }
+                break;
+
+            case null:
+                positional.push(args.readValue());
+                break;
+
+            default:
+                console.error(`Unknown argument: ${args.name}`);
+                process.exit(7);
         }
     }
 
-    function getModule(moduleName)
+    // Load config, command line args take precedence
+    let config = await loadConfig(configFile, "flatten");
+    let options = {
+        moduleName: config.moduleName,
+        out: outFile ?? config.resolvePath(config.out),
+        strip: {
+            prefixes: stripPrefixes.length ? stripPrefixes : config.strip?.prefixes,
+            internal: keepInternal ? false : config.strip?.internal,
+            rules: [].concat(config.strip?.rules ?? [], stripRules),
+            release: release ?? config.strip?.release,
+        },
+        format: formats.length ? formats : config.format,
+        sourceMap: {
+            sourcesContent: sourcesContent || config.sourceMap?.sourcesContent,
+            names: mapNames || config.sourceMap?.names,
+        },
+        releases: releases ?? resolveReleases(config.releases),
+        references: references ?? config.references,
+        verify: verify || config.verify,
+        warningsAsErrors: warningsAsErrors || config.warningsAsErrors,
+        suppress: [].concat(config.suppress ?? [], suppress),
+    };
+    diagnosticsFormat = diagnosticsFormat ?? config.diagnosticsFormat;
+    reportStripped = reportStripped || config.reportStripped;
+    inlineMap = inlineMap || config.inlineMap;
+
+    // Release output files in config are relative to the config file
+    function resolveReleases(releases)
+    {
+        if (!releases)
+            return releases;
+        return Object.fromEntries(Object.entries(releases).map(([tag, file]) => [ tag, config.resolvePath(file) ]));
+    }
+    if (entryArgs.length || rootModules.length || packageFile)
     {
-        // Get the module
-        let module = moduleMap.get(moduleName);
-        if (!module)
-            module = moduleMap.get(moduleName + "/index");
-        if (!module)
+        if (entryArgs.length)
         {
-            console.error(`unknown module: ${moduleName}, ignored`)
-            return null;
+            options.entries = {};
+            for (let [name, module] of entryArgs)
+                options.entries[name] = [].concat(options.entries[name] ?? [], module);
         }
-        return module;
+        if (rootModules.length)
+            options.modules = rootModules;
+        options.package = packageFile;
+    }
+    else
+    {
+        options.entries = config.entries;
+        options.modules = config.modules;
+        options.package = config.resolvePath(config.package);
     }
 
-    function resolveExportDeclarations()
+    // Module-style output doesn't need a module name
+    let moduleStyle = !!options.format && [].concat(options.format).every(x => x != "ambient");
+
+    // If module name not in config, first positional arg is the module name
+    // (unless it's optional and the first argument is an input file)
+    if (!options.moduleName && !options.entries && !options.package)
     {
-        for (let m of moduleList)
-        {
-            resolveExportDeclarationsForModule(m);
-        }
+        if (!(moduleStyle && /\.(d\.[mc]?ts|[mc]?[jt]s)$/.test(positional[0] ?? "")))
+            options.moduleName = positional.shift();
     }
 
-    function resolveExportDeclarationsForModule(module)
+    // Input files
+    options.input = positional.length ? positional : [].concat(config.input ?? []).map(x => config.resolvePath(x));
+
+    // Check arguments
+    if (!options.moduleName && !options.entries && !options.package && !moduleStyle)
     {
-        if (module.resolvedExports)
-            return;
-        module.resolvedExports = []; // prevent re-entry
+        console.error("missing argument: module name");
+        process.exit(7);
+    }
+    if (!options.input.length)
+    {
+        console.error("missing argument: input file");
+        process.exit(7);
+    }
+
+    // Watch mode?
+    if (watch)
+    {
+        watchFiles(run);
+        return;
+    }
 
-        let resolvedExports = new Set();
-        for (let e of module.exports)
+    let failed;
+    try
+    {
+        failed = run(new Set());
+    }
+    catch (err)
+    {
+        console.error(err.message);
+        process.exit(7);
+    }
+    if (failed)
+        process.exit(1);
+
+    // Flatten and write the output files, adding the name
+    // of every file used to the dependencies set
+    function run(dependencies)
+    {
+        // Watch the input files even if flattening fails
+        options.input.forEach(x => dependencies.add(x));
+        if (options.package)
+            dependencies.add(options.package);
+
+        let result = flatten(options);
+        result.dependencies.forEach(x => dependencies.add(x));
+
+        // Show warnings etc...
+        reportDiagnostics(result.diagnostics, diagnosticsFormat);
+
+        // List stripped declarations (to stderr if stdout has the output)
+        if (reportStripped)
+            showStripped(result.stripped, outputMode == "stdout" ? console.error : console.log);
+
+        // Writing over a watched file would trigger another build (and
+        // the next build would read the output instead of the input)
+        if (watch && !outputMode)
         {
-            // Already defined?
-            if (e.definition)
+            let watched = new Set(Array.from(dependencies).map(x => path.resolve(x)));
+            for (let f of result.files)
             {
-                resolvedExports.add(e);
-            }
-            else
-            {
-                // Find definition in another module
-                let importFromModule = getModule(e.from);
-                if (!importFromModule)
-                    continue;
-                
-                // Make sure it's resolved
-                resolveExportDeclarationsForModule(importFromModule);
-
-                if (e.name == "*")
-                {
-                    for (let e of importFromModule.resolvedExports)
-                    {
-                        resolvedExports.add(e);
-                    }
-                }
-                else
+                let written = inlineMap ? [ f.filename ] : [ f.filename, f.filename + ".map" ];
+                let clash = written.find(x => watched.has(path.resolve(x)));
+                if (clash)
                 {
-                    let e = importFromModule.resolveExports.findIndex(x => x.name == e.name);
-                    if (e)
-                    {
-                        resolvedExports.add(e);
-                    }
-                    else
-                    {
-                        console.error(`warning: couldn't find export '${e.name}' in '${e.from}'`);
-                    }
+                    console.error(`--watch can't overwrite input file '${clash}' (use --out to write the output somewhere else)`);
+                    process.exit(7);
                 }
             }
         }
 
-        module.resolvedExports = Array.from(resolvedExports);
+        writeOutput(result.files);
+
+        return hasErrors(result.diagnostics);
     }
 
-    function writeDeclaration(out, declaration)
+    // Write, print or diff the output files
+    function writeOutput(files)
     {
-        // Ignore if internal
-        if (isPrivateOrInternal(declaration.node))
-            return;
-
-        let ms = declaration.mappedSource;
-
-        // Clean up the declaration
-        let deletions = [];
-        ts.forEachChild(declaration.node, walk);
-        deletions.sort((a,b) => b.pos - a.pos);
-        let prev = null;
-        for (let d of deletions)
+        switch (outputMode)
         {
-            // Sanity check no overlapping ranges
-            if (prev && d.end > prev.pos)
-                throw new Error("overlapping delete ranges");
-            prev = d;
-
-            declaration.definition.delete(
-                d.pos - declaration.originalPosition,
-                d.end - d.pos
-            );
-        }
-
-        // Write ite
-        out.append(declaration.definition);
-
-        // Delete a node and 1x preceding comment block
-        function deleteNode(node)
-        {
-            let pos = node.getStart();
-            let comments = ts.getLeadingCommentRanges(ms.source, node.pos);
-            if (comments && comments.length > 0)
-                pos = comments[comments.length-1].pos;
-
-            pos = find_bol_ws(ms.source, pos);
-            let end = find_next_line_ws(ms.source, node.end);
-            deletions.push({ pos, end });
-        }
-    
-        function walk(node)
-        {
-            if (isDeclarationNode(node))
-            {
-                // Delete #private fields and anything starting with _
-                if (node.name)
+            case "dry-run":
+                for (let f of files)
                 {
-                    let name = node.name.getText();
-                    if (name == "#private" || name.startsWith("_"))
-                    {
-                        deleteNode(node);
-                        return;
-                    }
+                    if (files.length > 1)
+                        console.log(`// ${f.filename}`);
+                    console.log(f.code);
                 }
+                break;
 
-                // Delete anything marked @internal or @private
-                if (isPrivateOrInternal(node))
-                {
-                    deleteNode(node);
-                    return;
-                }
-            }
-            
-            if (ts.isImportTypeNode(node))
-            {
-                // Remove: import(<knownmodule>).
-                let importedModule = getModule(stripQuotes(node.argument.getText()));
-                if (importedModule)
+            case "diff":
+                for (let f of files)
                 {
-                    let typeName = node.qualifier.getText();
-                    if (importedModule.resolvedExports.some(x => x.name == typeName))
-                    {
-                        let pos = node.pos;
-                        while (ms.source[pos] == ' ')
-                            pos++;
-                        let text = ms.source.substring(pos, node.qualifier.pos);
-
-                        // Track for deletion
-                        deletions.push({
-                            pos: pos,
-                            end: node.qualifier.pos,
-                        })
-                    }
+                    let exists = fs.existsSync(f.filename);
+                    let oldCode = exists ? fs.readFileSync(f.filename, "utf8") : "";
+                    let newCode = withSourceMappingURL(f.code, inlineMap ? inlineSourceMapURL(f.map) : sourceMapFileURL(f.filename));
+                    process.stdout.write(unifiedDiff(oldCode, newCode, exists ? f.filename : "/dev/null", f.filename));
                 }
-            }
-            ts.forEachChild(node, walk);
+                break;
+
+            case "stdout":
+                if (files.length > 1)
+                    throw new Error("--stdout can only be used with a single output file");
+                process.stdout.write(withSourceMappingURL(files[0].code, inlineSourceMapURL(files[0].map)));
+                break;
+
+            default:
+                for (let f of files)
+                    saveWithSourceMap(f.filename, f.code, f.map, { inlineMap });
+                break;
         }
     }
 }
 
-
+// List the stripped declarations, grouped by output file
+function showStripped(stripped, log)
+{
+    let outFiles = [...new Set(stripped.map(x => x.out))];
+    for (let out of outFiles)
+    {
+        log(`Stripped from ${out}:`);
+        for (let s of stripped.filter(x => x.out == out))
+            log(`    ${s.file}:${s.line}:${s.column}: ${s.module ? `${s.module}.` : ""}${s.name} (${s.kind}, ${s.reason})`);
+    }
+    if (!stripped.length)
+        log("No declarations stripped");
+}
@@ -97,7 +97,7 @@ export function cmdList(tail)
                     let namepos = node.name.getStart(ast);
                     let lp = sourceFile.lineMap.fromOffset(namepos);
                     let lpo = sourceFile.sourceMap.originalPositionFor(lp);
-                    pos = `${file}:${lp.line}:${lp.column} => ${lpo.source}:${lpo.line}:${lpo.column}`;
+                    pos = `${file}:${lp.line}:${lp.column} => ${sourceFile.originalFileName(lpo.source)}:${lpo.line}:${lpo.column}`;
                 }
                 console.log(`  ${name}: ${pos}`);
             }
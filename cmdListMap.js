@@ -52,7 +52,7 @@ export function cmdListMap(tail)
 
     // List mappings
     sourceFile.sourceMap.eachMapping(x => {
-        console.log(`${x.generatedLine}:${x.generatedColumn} => ${x.source}:${x.originalLine}:${x.originalColumn} "${x.name}"`);
+        console.log(`${x.generatedLine}:${x.generatedColumn} => ${sourceFile.originalFileName(x.source)}:${x.originalLine}:${x.originalColumn} "${x.name}"`);
     });
 }
 
@@ -73,6 +73,6 @@ export function cmdMapPosition(tail)
     for (let pos of positions)
     {
         let op = sourceFile.sourceMap.originalPositionFor(pos);
-        console.log(`${file}:${pos.line}:${pos.column} => ${op.source}("${op.name}"):${op.line}:${op.column}`);
+        console.log(`${file}:${pos.line}:${pos.column} => ${sourceFile.originalFileName(op.source)}("${op.name}"):${op.line}:${op.column}`);
     }
 }
\ No newline at end of file
@@ -0,0 +1,84 @@
+import { clargs, showArgs } from "@toptensoftware/clargs";
+import { SourceFile } from "./SourceFile.js";
+import { verifySourceMap } from "./verifyMap.js";
+
+function showHelp()
+{
+    console.log("\nUsage: npx codeonlyjs/dts-tool verify-map <file>");
+
+    console.log("\nChecks every mapping in a file's source map lands on an identifier and");
+    console.log("maps to the same name in the original source");
+
+    console.log("\nOptions:");
+    showArgs({
+        "<file>": "Any source file with associated .map",
+        "-h, --help":    "Show this help",
+    });
+
+    console.log(`
+Each mapping's generated position must be at the start or end of an
+identifier, the original source file must exist and the original
+position must be in range.  The identifier is then looked up in the
+original source the same way 'flatten' does (searching forward from
+the start of the mapped line) and must be found at the mapped position.
+
+Mappings that fail are listed followed by a summary and the exit
+code is 1 if there were any failures.
+`);
+}
+
+
+export function cmdVerifyMap(tail)
+{
+    let file = null;
+    let args = clargs(tail);
+    while (args.next())
+    {
+        switch (args.name)
+        {
+            case "help":
+                showHelp();
+                process.exit();
+
+            case null:
+                if (file == null)
+                    file = args.readValue();
+                else
+                    console.error(`Too many arguments: ${args.readValue()}`);
+                break;
+
+            default:
+                console.error(`Unknown argument: ${args.name}`);
+                process.exit(7);
+        }
+    }
+
+    // Check args
+    if (!file)
+    {
+        console.error("missing argument: input file");
+        process.exit(7);
+    }
+
+    // Load source file
+    let sourceFile = SourceFile.fromFile(file);
+    if (!sourceFile.sourceMap)
+    {
+        console.error(`no source map found for '${file}'`);
+        process.exit(7);
+    }
+
+    // Check mappings
+    let result = verifySourceMap(sourceFile);
+    for (let p of result.problems)
+    {
+        console.log(`${file}:${p.generatedLine}:${p.generatedColumn} => ${p.source}:${p.originalLine}:${p.originalColumn}: ${p.message}`);
+    }
+
+    // Summary
+    let passed = result.total - result.problems.length;
+    let score = result.total ? Math.floor(passed * 1000 / result.total) / 10 : 100;
+    console.log(`${passed} of ${result.total} mappings OK (${score}%)`);
+    if (result.problems.length)
+        process.exit(1);
+}
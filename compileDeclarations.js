@@ -0,0 +1,56 @@
+import path from 'node:path';
+import ts from 'typescript';
+import { SourceMapConsumer } from '@jridgewell/source-map';
+import { SourceFile } from "./SourceFile.js";
+
+/**
+ * Runs the TypeScript compiler in memory to produce the bundled
+ * declarations and declaration map for a set of JavaScript files.
+ *
+ * Equivalent to running tsc with `allowJs`, `declaration`,
+ * `emitDeclarationOnly`, `declarationMap` and `outFile` except
+ * nothing is written to disk.
+ *
+ * @param {string[]} entryFiles The JavaScript entry file(s)
+ * @param {object} [compilerOptions] Additional TypeScript compiler options
+ * @returns {{ source: SourceFile, diagnostics: ts.Diagnostic[] }} The generated
+ * source file (null if emit failed) and any errors reported by the compiler
+ */
+export function compileDeclarations(entryFiles, compilerOptions)
+{
+    // The output is never written, but its location is used to
+    // resolve the relative source file names in the map
+    let outFile = path.resolve(entryFiles[0].replace(/\.[mc]?js$/, "") + ".d.ts");
+
+    let options = Object.assign({
+        allowJs: true,
+        declaration: true,
+        emitDeclarationOnly: true,
+        declarationMap: true,
+        outFile,
+    }, compilerOptions);
+
+    // Compile, capturing output files
+    let program = ts.createProgram(entryFiles, options);
+    let outputs = new Map();
+    let result = program.emit(undefined, (fileName, text) => {
+        outputs.set(path.resolve(fileName), text);
+    });
+
+    // Get errors
+    let diagnostics = ts.getPreEmitDiagnostics(program)
+        .concat(result.diagnostics)
+        .filter(x => x.category == ts.DiagnosticCategory.Error);
+
+    // Get the generated code and map
+    let code = outputs.get(outFile);
+    let map = outputs.get(outFile + ".map");
+    if (result.emitSkipped || !code)
+        return { source: null, diagnostics };
+
+    // The map's sources are relative to the (unwritten) map file
+    return {
+        source: new SourceFile(path.relative(process.cwd(), outFile), code, map ? new SourceMapConsumer(JSON.parse(map), outFile + ".map") : null),
+        diagnostics,
+    };
+}
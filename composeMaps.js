@@ -0,0 +1,125 @@
+import path from 'node:path';
+import { SourceMapConsumer, SourceMapGenerator } from "@jridgewell/source-map";
+
+/**
+ * @typedef ComposeInput
+ * @property {object} map The source map
+ * @property {string} [mapFile] The name of the .map file (used to resolve the map's sources, defaults
+ * to the generated file for inline maps, or the current directory)
+ * @property {string} [file] The generated file the map is for (defaults to the map's `file`,
+ * resolved relative to the map)
+ */
+
+/**
+ * @typedef ComposeOptions
+ * @property {string} [file] The `file` of the composed map
+ * @property {string} [mapFile] Where the composed map will be saved (its sources are made
+ * relative to this, otherwise they're relative to the current directory)
+ * @property {boolean} [sourcesContent] Include the content of the original sources
+ * (where available in the input maps)
+ */
+
+/**
+ * Composes a chain of source maps into a single map.
+ *
+ * The maps are listed in the order the transforms were applied, ie: for
+ * A→B and B→C maps the result is an A→C map.  A mapping in a later map
+ * is traced back through an earlier map when its source is the earlier
+ * map's generated file (or if the earlier map's generated file isn't known).
+ * Mappings that can't be traced back are dropped, and mappings whose source
+ * isn't the output of an earlier map are kept as is.
+ *
+ * @param {(object | ComposeInput)[]} maps The maps (or map objects with their file names)
+ * @param {ComposeOptions} [options] Options
+ * @returns {object} The composed source map
+ */
+export function composeSourceMaps(maps, options)
+{
+    if (!maps.length)
+        throw new Error("no source maps to compose");
+
+    // Load maps, resolving sources to absolute paths (the map's URL is 
+    // either the map file, or a directory to resolve relative to)
+    let inputs = maps.map(x => {
+        let input = x.map ? x : { map: x };
+        let base = input.mapFile ?? input.file;
+        let dir = base ? path.dirname(path.resolve(base)) : process.cwd();
+        let mapUrl = base ? path.resolve(base) : dir + path.sep;
+        let generated = null;
+        if (input.file)
+            generated = path.resolve(input.file);
+        else if (input.map.file)
+            generated = path.resolve(dir, input.map.file);
+        return {
+            smc: new SourceMapConsumer(input.map, mapUrl),
+            generated,
+        };
+    });
+
+    let mapDir = options?.mapFile ? path.dirname(path.resolve(options.mapFile)) : process.cwd();
+    let smg = new SourceMapGenerator({
+        file: options?.file ?? (options?.mapFile ? path.basename(options.mapFile, ".map") : undefined),
+        sourceRoot: "",
+    });
+
+    // Trace every mapping of the last map back through the earlier ones
+    let last = inputs[inputs.length - 1];
+    let used = new Map();
+    last.smc.eachMapping(m => {
+        if (m.source == null)
+            return;
+
+        let pos = { source: m.source, line: m.originalLine, column: m.originalColumn, name: m.name };
+        let owner = last;
+        for (let i = inputs.length - 2; i >= 0 && pos; i--)
+        {
+            let prev = inputs[i];
+            if (prev.generated && prev.generated != pos.source)
+                continue;
+
+            let op = prev.smc.originalPositionFor({ line: pos.line, column: pos.column });
+            pos = op.source == null ? null : {
+                source: op.source,
+                line: op.line,
+                column: op.column,
+                name: op.name ?? pos.name,
+            };
+            owner = prev;
+        }
+        if (!pos)
+            return;
+
+        let source = relativeSource(pos.source);
+        used.set(source, { source: pos.source, owner });
+        smg.addMapping({
+            generated: { line: m.generatedLine, column: m.generatedColumn },
+            source,
+            original: { line: pos.line, column: pos.column },
+            name: pos.name ?? undefined,
+        });
+    });
+
+    // Carry through the original source content
+    if (options?.sourcesContent)
+    {
+        for (let [source, x] of used)
+        {
+            let content = x.owner.smc.sourceContentFor(x.source, true);
+            if (content != null)
+                smg.setSourceContent(source, content);
+        }
+    }
+
+    let json = smg.toJSON();
+    if (!options?.sourcesContent)
+        delete json.sourcesContent;
+    return json;
+
+    // Make a source relative to the composed map
+    function relativeSource(source)
+    {
+        if (!path.isAbsolute(source))
+            return source;
+        return path.relative(mapDir, source).replace(/\\/g, "/");
+    }
+}
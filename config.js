@@ -0,0 +1,63 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import url from 'node:url';
+
+/**
+ * Names of the config files looked for in the current directory
+ */
+const configFileNames = [
+    "dts-tool.config.json",
+    "dts-tool.config.js",
+    "dts-tool.config.mjs",
+];
+
+/**
+ * Loads the settings for a command from a dts-tool config file.
+ *
+ * A config file is a JSON file (or a JavaScript module whose default
+ * export is an object) with a section for each command, eg:
+ *
+ * ```json
+ * {
+ *     "flatten": { "moduleName": "@scope/lib", "input": [ "index.d.ts" ] },
+ *     "extract": { "input": "index.d.ts", "out": "index.d.json" }
+ * }
+ * ```
+ *
+ * @param {string} configFile The config file to load, or null to look for one in the current directory
+ * @param {string} command The name of the command section to load
+ * @returns {Promise<object>} The command's settings (empty if no config file) and
+ * a `resolvePath` function to resolve file names relative to the config file
+ */
+export async function loadConfig(configFile, command)
+{
+    // Look for a config file in the current directory
+    if (!configFile)
+        configFile = configFileNames.find(x => fs.existsSync(x));
+
+    // Load it
+    let config = {};
+    let baseDir = process.cwd();
+    if (configFile)
+    {
+        let fullPath = path.resolve(configFile);
+        try
+        {
+            if (fullPath.endsWith(".json"))
+                config = JSON.parse(fs.readFileSync(fullPath, "utf8"));
+            else
+                config = (await import(url.pathToFileURL(fullPath).href)).default;
+        }
+        catch (err)
+        {
+            throw new Error(`error loading config file '${configFile}': ${err.message}`);
+        }
+
+        // File names in the config are relative to the config file
+        baseDir = path.dirname(fullPath);
+    }
+
+    return Object.assign({}, config?.[command], {
+        resolvePath: (file) => file == null ? file : path.relative(process.cwd(), path.resolve(baseDir, file)),
+    });
+}
@@ -0,0 +1,216 @@
+import path from 'node:path';
+import ts from 'typescript';
+
+/**
+ * @typedef Diagnostic
+ * @property {string} code The diagnostic code (eg: "DTS1001")
+ * @property {"error" | "warning"} severity The severity of the problem
+ * @property {string} message Description of the problem
+ * @property {string} [file] The file the problem was found in (mapped to the original source where possible)
+ * @property {number} [line] The one based line number of the problem
+ * @property {number} [column] The one based column number of the problem
+ */
+
+/**
+ * @typedef DiagnosticOptions
+ * @property {boolean} [warningsAsErrors] Report warnings as errors
+ * @property {string[]} [suppress] Codes of diagnostics to be ignored
+ */
+
+/**
+ * The known diagnostic codes and their default severities.
+ *
+ * Errors reported by the TypeScript compiler use the
+ * TypeScript code prefixed with "TS" (eg: "TS2304")
+ */
+export const diagnosticCodes = {
+    DTS1001: { severity: "warning", description: "Unknown module" },
+    DTS1002: { severity: "warning", description: "Export not found in module" },
+    DTS1003: { severity: "warning", description: "No module found for package entry point" },
+    DTS1004: { severity: "warning", description: "Unsupported package export" },
+    DTS1005: { severity: "warning", description: "Reference to a declaration that isn't exported" },
+    DTS1006: { severity: "warning", description: "Unresolved reference" },
+    DTS2001: { severity: "warning", description: "No documentation" },
+    DTS2002: { severity: "warning", description: "Missing @param description" },
+    DTS2003: { severity: "warning", description: "@param block for unknown parameter" },
+    DTS2004: { severity: "warning", description: "Unresolved namepath" },
+};
+
+/**
+ * The supported output formats for formatDiagnostics
+ */
+export const diagnosticFormats = [ "text", "json", "github" ];
+
+/**
+ * Creates a diagnostic
+ * @param {string} code The diagnostic code
+ * @param {string} message Description of the problem
+ * @param {{file: string, line?: number, column?: number}} [location] Location of the problem
+ * @returns {Diagnostic}
+ */
+export function createDiagnostic(code, message, location)
+{
+    return Object.assign({
+        code,
+        severity: diagnosticCodes[code]?.severity ?? "error",
+        message,
+    }, location);
+}
+
+/**
+ * Works out the location of a position in a source file, mapping
+ * it back to the original source if the file has a source map.
+ * @param {import("./SourceFile.js").SourceFile} source The source file
+ * @param {number} offset The character offset in the source file
+ * @returns {{file: string, line: number, column: number}}
+ */
+export function mapLocation(source, offset)
+{
+    let pos = source.lineMap.fromOffset(offset);
+    if (source.sourceMap)
+    {
+        // Maps usually only have points at identifiers, so if there's nothing
+        // at or before the position look for the next point on the same line
+        let op = source.sourceMap.originalPositionFor(pos);
+        if (!op.source)
+            op = source.sourceMap.originalPositionFor({ line: pos.line, column: pos.column, bias: -1 /* LEAST_UPPER_BOUND */ });
+        if (op.source)
+        {
+            return {
+                file: source.originalFileName(op.source),
+                line: op.line,
+                column: op.column + 1,
+            };
+        }
+    }
+
+    return {
+        file: source.filename,
+        line: pos.line,
+        column: pos.column + 1,
+    }
+}
+
+/**
+ * Converts a TypeScript compiler diagnostic
+ * @param {ts.Diagnostic} diag The TypeScript diagnostic
+ * @param {import("./SourceFile.js").SourceFile} [source] The source file the diagnostic
+ * is for, to map its location back to the original source
+ * @returns {Diagnostic}
+ */
+export function fromTypeScriptDiagnostic(diag, source)
+{
+    let location;
+    if (source && diag.start !== undefined)
+    {
+        location = mapLocation(source, diag.start);
+    }
+    else if (diag.file)
+    {
+        let lc = diag.file.getLineAndCharacterOfPosition(diag.start ?? 0);
+        location = {
+            file: path.relative(process.cwd(), diag.file.fileName),
+            line: lc.line + 1,
+            column: lc.character + 1,
+        };
+    }
+
+    return Object.assign({
+        code: `TS${diag.code}`,
+        severity: diag.category == ts.DiagnosticCategory.Error ? "error" : "warning",
+        message: ts.flattenDiagnosticMessageText(diag.messageText, "\n"),
+    }, location);
+}
+
+/**
+ * Removes suppressed diagnostics and promotes warnings to errors
+ * @param {Diagnostic[]} diagnostics The diagnostics to filter
+ * @param {DiagnosticOptions} options Options
+ * @returns {Diagnostic[]}
+ */
+export function applyDiagnosticOptions(diagnostics, options)
+{
+    let suppress = new Set(options?.suppress ?? []);
+    return diagnostics
+        .filter(x => !suppress.has(x.code))
+        .map(x => options?.warningsAsErrors && x.severity == "warning" ? Object.assign({}, x, { severity: "error" }) : x);
+}
+
+/**
+ * Checks if a set of diagnostics includes any errors
+ * @param {Diagnostic[]} diagnostics The diagnostics to check
+ * @returns {boolean}
+ */
+export function hasErrors(diagnostics)
+{
+    return diagnostics.some(x => x.severity == "error");
+}
+
+/**
+ * Formats a set of diagnostics for display
+ * @param {Diagnostic[]} diagnostics The diagnostics to format
+ * @param {"text" | "json" | "github"} [format] The output format (defaults to "text")
+ * @returns {string}
+ */
+export function formatDiagnostics(diagnostics, format)
+{
+    switch (format ?? "text")
+    {
+        case "json":
+            return JSON.stringify(diagnostics, null, 4);
+
+        case "github":
+            // GitHub Actions workflow commands
+            return diagnostics.map(d => {
+                let props = [];
+                if (d.file)
+                    props.push(`file=${escapeProperty(d.file)}`);
+                if (d.line)
+                    props.push(`line=${d.line}`);
+                if (d.column)
+                    props.push(`col=${d.column}`);
+                props.push(`title=${escapeProperty(d.code)}`);
+                return `::${d.severity} ${props.join(",")}::${escapeData(d.message)}`;
+            }).join("\n");
+
+        case "text":
+            return diagnostics.map(d => {
+                let location = "";
+                if (d.file)
+                {
+                    location = d.file;
+                    if (d.line)
+                        location += `:${d.line}`;
+                    if (d.line && d.column)
+                        location += `:${d.column}`;
+                    location += ": ";
+                }
+                return `${location}${d.severity} ${d.code}: ${d.message}`;
+            }).join("\n");
+    }
+
+    throw new Error(`unknown diagnostics format: ${format}`);
+
+    function escapeData(str)
+    {
+        return str.replace(/%/g, "%25").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+    }
+
+    function escapeProperty(str)
+    {
+        return escapeData(str).replace(/:/g, "%3A").replace(/,/g, "%2C");
+    }
+}
+
+/**
+ * Writes a set of diagnostics to stderr
+ * @param {Diagnostic[]} diagnostics The diagnostics to report
+ * @param {"text" | "json" | "github"} [format] The output format (defaults to "text")
+ * @returns {void}
+ */
+export function reportDiagnostics(diagnostics, format)
+{
+    // Always write json, so there's something to parse
+    if (diagnostics.length || format == "json")
+        console.error(formatDiagnostics(diagnostics, format));
+}
@@ -0,0 +1,1583 @@
+import path from 'node:path';
+import ts from 'typescript';
+import { MappedSource } from "./MappedSource.js";
+import { find_bol_ws, find_next_line_ws } from './textUtils.js';
+import { SourceFile } from "./SourceFile.js";
+import { 
+    isExport, 
+    stripQuotes,
+    isDefaultExport,
+    isGlobalAugmentation
+} from "./utils.js";
+import { createSourceMap } from './sourceMap.js';
+import { readPackageEntries } from './packageExports.js';
+import { compileDeclarations } from './compileDeclarations.js';
+import { verifyDeclarations } from './verifyDeclarations.js';
+import { createStripFilter, isStrippable, getDeclarationName, declarationKinds } from './stripRules.js';
+import { outputFormats, outputFileName, ambientToModule } from './moduleFormat.js';
+import { createDiagnostic, mapLocation, fromTypeScriptDiagnostic, applyDiagnosticOptions, formatDiagnostics } from './diagnostics.js';
+
+/**
+ * @typedef InputFile
+ * @property {string} filename The name of the file
+ * @property {string} [code] The content of the file (read from disk if not specified)
+ * @property {string | object} [map] The source map for the file as a JSON string or object 
+ * (if not specified, loaded from the file's `sourceMappingURL`, if any)
+ */
+
+/**
+ * @typedef OutputFile
+ * @property {string} filename The name of the output file
+ * @property {string} code The generated code (without a `sourceMappingURL` comment)
+ * @property {object} map The generated source map
+ */
+
+/**
+ * @typedef FlattenOptions
+ * @property {string | InputFile | (string | InputFile)[]} input The input .d.ts file(s), or 
+ * JavaScript entry file(s) to be compiled
+ * @property {string} [moduleName] The module name of the flattened module (optional for module-style
+ * output formats)
+ * @property {string | string[]} [modules] The root module(s) to export (defaults to the last module)
+ * @property {Object<string, string | string[]>} [entries] Map of module names to root module(s), 
+ * for producing multiple modules
+ * @property {string} [package] A package.json file to read the entry points from
+ * @property {string} [out] The output file name (defaults to the first input file)
+ * @property {import("./stripRules.js").StripOptions} [strip] Stripping options
+ * @property {"ambient" | "module" | "esm" | "cjs" | string[]} [format] The output format(s) - ambient
+ * `declare module` blocks (the default), a module-style .d.ts file, or module-style .d.mts (esm) 
+ * or .d.cts (cjs) files (named by replacing the extension of the output file)
+ * @property {import("./MappedSource.js").SourceMapOptions} [sourceMap] Options for the generated source maps
+ * @property {Object<string, string>} [releases] Additional output files to generate, trimmed to a
+ * release level (eg: `{ "beta": "index-beta.d.ts" }`)
+ * @property {"internal" | "export" | "report"} [references] How to handle references to declarations
+ * that aren't exported - include them without exporting them (the default), include and export them 
+ * or just report them
+ * @property {boolean} [verify] Type check the generated files and report any errors
+ * @property {boolean} [warningsAsErrors] Report warnings as errors
+ * @property {string[]} [suppress] Codes of diagnostics to be ignored
+ */
+
+/**
+ * @typedef FlattenResult
+ * @property {string} code The generated code of the first output file
+ * @property {object} map The source map of the first output file
+ * @property {OutputFile[]} files All generated output files
+ * @property {import("./diagnostics.js").Diagnostic[]} diagnostics Problems found while flattening
+ * @property {string[]} dependencies The names of all files used to generate the output
+ * @property {StrippedDeclaration[]} stripped The declarations that were stripped from the output
+ */
+
+/**
+ * @typedef StrippedDeclaration
+ * @property {string} out The output file the declaration was stripped from
+ * @property {string} module The name of the module the declaration was stripped from
+ * @property {string} name The name of the declaration (qualified by its parents for members)
+ * @property {string} kind The kind of declaration (eg: "function", "method")
+ * @property {string} reason Why it was stripped (eg: "internal", "prefix", "release:beta", "rule:hidden")
+ * @property {string} file The original source file of the declaration
+ * @property {number} line The 1-based line number in the original source
+ * @property {number} column The 1-based column number in the original source
+ */
+
+/**
+ * Flattens the exports of the modules in one or more .d.ts files
+ * into a single module (or one module per entry point)
+ * @param {FlattenOptions} options Options
+ * @returns {FlattenResult}
+ */
+export function flatten(options)
+{
+    let inputs = [].concat(options.input ?? []);
+    let rootModules = [].concat(options.modules ?? []);
+    let referenceMode = options.references ?? "internal";
+    let formats = [].concat(options.format ?? "ambient");
+    let diagnostics = [];
+    let dependencies = new Set();
+
+    // Check options
+    if (options.package)
+    {
+        if (options.entries || rootModules.length)
+            throw new Error("package can't be used with entries or modules");
+    }
+    else if (options.entries)
+    {
+        if (rootModules.length)
+            throw new Error("modules can't be used with entries");
+    }
+    else if (!options.moduleName && formats.includes("ambient"))
+    {
+        // Module-style files don't need a module name
+        throw new Error("missing module name");
+    }
+    if (!inputs.length)
+        throw new Error("missing input file");
+    if (![ "internal", "export", "report" ].includes(referenceMode))
+        throw new Error(`invalid references option: ${referenceMode}`);
+    let unknownFormat = formats.find(x => !outputFormats.includes(x));
+    if (unknownFormat)
+        throw new Error(`invalid output format: ${unknownFormat}`);
+
+    // Setup entries
+    let entries = [];
+    let packageEntries = null;
+    if (options.package)
+    {
+        dependencies.add(options.package);
+        packageEntries = readPackageEntries(options.package, message => {
+            diagnostics.push(createDiagnostic("DTS1004", message, { file: options.package }));
+        });
+    }
+    else if (options.entries)
+    {
+        for (let [name, modules] of Object.entries(options.entries))
+            [].concat(modules).forEach(x => addEntry(name, x));
+    }
+    else
+    {
+        rootModules.forEach(x => addEntry(options.moduleName, x));
+        if (entries.length == 0)
+            addEntry(options.moduleName, null);
+    }
+
+    // Load input files, compiling any JavaScript files in memory
+    let sources = [];
+    let jsFiles = inputs.filter(x => typeof(x) === "string" && /\.[mc]?js$/.test(x));
+    for (let input of inputs)
+    {
+        if (!jsFiles.includes(input))
+        {
+            let source;
+            if (typeof(input) === "string")
+            {
+                dependencies.add(input);
+                source = SourceFile.fromFile(input);
+            }
+            else
+            {
+                if (input.code == null)
+                    dependencies.add(input.filename);
+                source = SourceFile.fromCode(input.filename, input.code, input.map);
+            }
+            source.mapDependencies().forEach(x => dependencies.add(x));
+            sources.push(source);
+        }
+        else if (input == jsFiles[0])
+        {
+            jsFiles.forEach(x => dependencies.add(x));
+            let compiled = compileDeclarations(jsFiles);
+            diagnostics.push(...compiled.diagnostics.map(fromTypeScriptDiagnostic));
+            if (!compiled.source)
+                throw new Error(`failed to generate declarations\n${formatDiagnostics(diagnostics)}`);
+            compiled.source.mapDependencies().forEach(x => dependencies.add(x));
+            sources.push(compiled.source);
+        }
+    }
+
+    let moduleList = [];
+    let augmentations = [];
+    let augmentationImports = [];
+    let references = new Map();
+    for (let source of sources)
+    {
+        // Parse input file
+        let astFile = ts.createSourceFile(
+            source.filename, 
+            source.code,
+            ts.ScriptTarget.Latest, 
+            true, 
+        );
+
+        // Simplify source map
+        let ms = createSourceMap(source, astFile);
+
+        // Build module list
+        moduleList.push(...buildModuleList(source, ms, astFile));
+
+        // Collect triple-slash references
+        for (let r of astFile.typeReferenceDirectives)
+            references.set(`types:${r.fileName}`, { kind: "types", value: r.fileName });
+        for (let r of astFile.libReferenceDirectives)
+            references.set(`lib:${r.fileName}`, { kind: "lib", value: r.fileName });
+        for (let r of astFile.referencedFiles)
+        {
+            // References to other input files aren't needed once flattened
+            let file = path.resolve(path.dirname(source.filename), r.fileName);
+            if (!sources.some(x => path.resolve(x.filename) == file))
+                references.set(`path:${file}`, { kind: "path", value: file });
+        }
+    }
+
+    // Build module map
+    let moduleMap = new Map();
+    moduleList.forEach(x => moduleMap.set(x.name, x));
+
+    // Map package entry points to modules
+    if (packageEntries)
+    {
+        let packageDir = path.dirname(options.package);
+        for (let pe of packageEntries)
+        {
+            let module = findModuleForFile(pe.jsFile);
+            if (!module)
+            {
+                diagnostics.push(createDiagnostic("DTS1003", `couldn't find module for '${pe.jsFile}' (${pe.name}), ignored`, { file: options.package }));
+                continue;
+            }
+            addEntry(pe.name, module.name, path.join(packageDir, pe.typesFile));
+        }
+    }
+
+    // If user didn't specify modules to include, just 
+    // use the last defined one
+    for (let e of entries)
+    {
+        if (e.rootModules.length == 0)
+            e.rootModules = [ moduleList[moduleList.length - 1].name ];
+    }
+
+    // Resolve all `export ... from "module"`
+    resolveExportDeclarations();
+
+    for (let e of entries)
+    {
+        // Build initial list of exports
+        for (let rm of e.rootModules)
+        {
+            let mod = getModule(rm);
+            mod?.resolvedExports.forEach(x => e.exports.add(x))
+        }
+
+        // Work out declarations exported under a different name
+        e.renames = buildRenameMap(e.exports);
+    }
+
+    // Remove unneeded imports
+    //moduleList.forEach(x => removeImports(x));
+
+    // Generate output file(s)
+    let outputs = new Map();
+    let currentEntry = null;
+    let isStripped = null;
+    let currentFile = null;
+    let stripped = [];
+    let unexportedDeclarations = new Map();
+    let reported = new Set();
+    let fileFormats = new Map();
+    let outputGroups = [];
+    for (let format of formats)
+    {
+        writeEntries(format, options.strip?.release, e => options.out ?? e.outFile ?? sources[0].filename);
+
+        // Generate additional files trimmed to a release level
+        for (let [release, file] of Object.entries(options.releases ?? {}))
+            writeEntries(format, release, () => file);
+    }
+
+    let files = Array.from(outputs).map(([filename, msOut]) => ({
+        filename,
+        code: msOut.source,
+        map: msOut.toSourceMap(filename, options.sourceMap),
+    }));
+
+    // Type check the output.  Each format and release level declares the
+    // same modules so is checked in its own program, and problems that map
+    // back to the same original location are only reported once.
+    if (options.verify)
+    {
+        let seen = new Set();
+        for (let group of outputGroups)
+        {
+            for (let d of verifyDeclarations(files.filter(x => group.has(x.filename))))
+            {
+                let key = `${d.code}:${d.file}:${d.line}:${d.column}:${d.message}`;
+                if (seen.has(key))
+                    continue;
+                seen.add(key);
+                diagnostics.push(d);
+            }
+        }
+    }
+
+    return {
+        code: files[0].code,
+        map: files[0].map,
+        files,
+        diagnostics: applyDiagnosticOptions(diagnostics, options),
+        dependencies: Array.from(dependencies),
+        stripped: stripped.map(({ node, ...x }) => x),
+    };
+
+    // Write all entries in an output format, stripping declarations less 
+    // mature than a release level, to the output files given by a callback
+    function writeEntries(format, release, getOutputFile)
+    {
+        isStripped = createStripFilter(Object.assign({}, options.strip, { release }));
+        let group = new Set();
+        for (let e of entries)
+        {
+            let file = outputFileName(getOutputFile(e), format);
+            writeEntry(e, file, format);
+            group.add(file);
+        }
+        outputGroups.push(group);
+    }
+
+    function writeEntry(e, file, format)
+    {
+        // Module style files can only hold one entry
+        let fileFormat = fileFormats.get(file);
+        if (fileFormat && (fileFormat != "ambient" || format != "ambient"))
+            throw new Error(`can't write more than one module to '${file}' (${format} format)`);
+        fileFormats.set(file, format);
+
+        currentFile = file;
+
+        // Get the output for this entry
+        let msOut = outputs.get(file);
+        if (!msOut)
+        {
+            msOut = new MappedSource();
+            outputs.set(file, msOut);
+            writeReferences(msOut, file);
+        }
+
+        currentEntry = e;
+        if (msOut.source.length)
+            msOut.append(`\n`);
+        e.included = [];
+        e.imports = new Map();
+        e.namesInUse = getNamesInUse(e);
+        e.hasUnexported = false;
+
+        // Write the declarations to a separate buffer, since the
+        // imports they need aren't known until they're written
+        let body = new MappedSource();
+        Array.from(e.exports).forEach(x => writeDeclaration(body, x));
+
+        // Write referenced declarations that aren't exported (writing
+        // them can add more, hence not a for...of loop)
+        for (let i = 0; i < e.included.length; i++)
+            writeDefinition(body, e.included[i], { stripExport: referenceMode == "internal" });
+
+        // Global and module augmentations are written once, with the first entry
+        if (e == entries[0])
+        {
+            for (let i of augmentationImports)
+            {
+                if (isExternalModule(i.specifier))
+                    addImport(i.specifier, i.name, i.localName);
+            }
+            augmentations.forEach(x => writeAugmentation(body, x));
+        }
+
+        let msModule = new MappedSource();
+        msModule.append(`declare module "${e.name ?? ""}" {\n`);
+        writeImports(msModule, e);
+        msModule.append(body);
+
+        // Declarations in an ambient module are implicitly exported
+        // unless there's an explicit export statement
+        if (e.hasUnexported)
+            msModule.append(`    export {};\n`);
+        msModule.append(`\n}\n`);
+
+        msOut.append(format == "ambient" ? msModule : ambientToModule(msModule, format));
+    }
+
+    function addEntry(name, rootModule, outFile)
+    {
+        let entry = entries.find(x => x.name == name);
+        if (!entry)
+        {
+            entry = {
+                name,
+                rootModules: [],
+                exports: new Set(),
+                outFile,
+            };
+            entries.push(entry);
+        }
+        if (rootModule)
+            entry.rootModules.push(rootModule);
+    }
+
+    // Find the tsc module for a JavaScript file.  tsc names modules
+    // relative to the common root of the input files, so if there's 
+    // no exact match, look for the longest module name that matches
+    // the end of the file's path
+    function findModuleForFile(jsFile)
+    {
+        let name = jsFile.replace(/^\.\//, "").replace(/\.[mc]?js$/, "");
+        let module = moduleMap.get(name);
+        if (module)
+            return module;
+
+        let best = null;
+        for (let m of moduleList)
+        {
+            if (name.endsWith("/" + m.name) && (!best || m.name.length > best.name.length))
+                best = m;
+        }
+        return best;
+    }
+
+
+    function buildModuleList(source, ms, ast)
+    {
+        let list = [];
+        ts.forEachChild(ast, walk);
+        return list;
+
+        function walk(node)
+        {
+            // `declare global { }`, or `declare module "x" { }` in a file that's
+            // a module (ie: an augmentation of a module that's not one of the inputs)
+            if (ts.isModuleDeclaration(node) && (isGlobalAugmentation(node) || ts.isExternalModule(ast)))
+            {
+                augmentations.push(extractDeclaration(ms, node));
+                return;
+            }
+
+            // Imports in a file with augmentations
+            if (ts.isImportDeclaration(node))
+            {
+                let specifier = stripQuotes(node.moduleSpecifier.getText(ast));
+                for (let [localName, imported] of getImportBindings(specifier, node))
+                    augmentationImports.push({ specifier, name: imported.name, localName });
+                return;
+            }
+
+            // eg: `export {}` to make a file a module
+            if (ts.isExportDeclaration(node))
+                return;
+
+            if (ts.isModuleDeclaration(node))
+            {
+                // Get the module name
+                let name = stripQuotes(node.name.getText(ast));
+
+                // Get module
+                let module = {
+                    name,
+                    node,
+                    source,
+                    mappedSource: ms,
+                    exports: getModuleExports(source, ms, node),
+                    imports: getModuleImports(node),
+                }
+                list.push(module);
+
+                // Augmentations declared inside the module
+                for (let x of node.body?.statements ?? [])
+                {
+                    if (ts.isModuleDeclaration(x) && (isGlobalAugmentation(x) || ts.isStringLiteral(x.name)))
+                        augmentations.push(extractDeclaration(ms, x));
+                }
+                return;
+            }
+
+            if (node.kind == ts.SyntaxKind.EndOfFileToken)
+                return;
+
+            throw new Error(`Unexpected node kind: ${node.kind}`);
+        }
+    }
+
+    function getModuleExports(source, ms, module)
+    {
+        let moduleName = stripQuotes(module.name.getText());
+        let exports = [];
+        ts.forEachChild(module, walk);
+        return exports;
+
+        function walk(node)
+        {
+            if (isExport(node) && (node.name || isDefaultExport(node)))
+            {
+                // Get the declaration name
+                let name = isDefaultExport(node) ? "default" : node.name.getText();
+
+                exports.push(Object.assign(extractDeclaration(ms, node), {
+                    name, 
+                    module: moduleName,
+                }));
+            }
+            else if (isExport(node) && ts.isVariableStatement(node))
+            {
+                // `export const a, b;` exports each variable
+                for (let d of node.declarationList.declarations)
+                {
+                    exports.push(Object.assign(extractDeclaration(ms, node), {
+                        name: d.name.getText(),
+                        module: moduleName,
+                        variable: d,
+                    }));
+                }
+            }
+            else if (ts.isExportAssignment(node))
+            {
+                // `export default x;` or `export = x;`
+                let target = node.expression.getText();
+                exports.push(Object.assign(extractDeclaration(ms, node), {
+                    name: node.isExportEquals ? "export=" : "default",
+                    module: moduleName,
+                    target,
+                    targets: findLocalDeclarations(module, target).map(x => Object.assign(extractDeclaration(ms, x), {
+                        name: target,
+                        module: moduleName,
+                        variable: findVariable(x, target),
+                    })),
+                }));
+            }
+            else if (ts.isExportDeclaration(node) && !node.moduleSpecifier)
+            {
+                // `export { a, b as c }` of local declarations
+                for (let e of node.exportClause.elements)
+                {
+                    let localName = e.propertyName?.getText() ?? e.name.getText();
+                    let declarations = findLocalDeclarations(module, localName);
+                    for (let x of declarations)
+                    {
+                        exports.push(Object.assign(extractDeclaration(ms, x), {
+                            name: e.name.getText(),
+                            module: moduleName,
+                            variable: findVariable(x, localName),
+                        }));
+                    }
+
+                    // Imported names are re-exported from where they're imported from
+                    let imported = declarations.length ? null : getModuleImports(module).get(localName);
+                    if (imported)
+                    {
+                        exports.push({
+                            name: e.name.getText(),
+                            propertyName: imported.name,
+                            from: imported.from,
+                            importSpecifier: imported.specifier,
+                            exportNode: e,
+                        });
+                    }
+                    else if (!declarations.length)
+                    {
+                        diagnostics.push(createDiagnostic("DTS1002", `couldn't find '${localName}' in '${moduleName}'`, 
+                            mapLocation(source, e.getStart())));
+                    }
+                }
+                return;
+            }
+            else if (ts.isExportDeclaration(node))
+            {
+                // Get the module name
+                let moduleSpecifier = resolveModuleSpecifier(moduleName, stripQuotes(node.moduleSpecifier.getText()));
+
+                if (node.exportClause)
+                {
+                    for (let e of node.exportClause.elements)
+                    {
+                        exports.push({
+                            name: e.name.getText(),
+                            propertyName: e.propertyName?.getText(),
+                            from: moduleSpecifier,
+                            exportNode: e,
+                        });
+                    }
+                }
+                else
+                {
+                    exports.push({
+                        name: "*",
+                        from: moduleSpecifier,
+                        exportNode: node,
+                    });
+                }
+                // Get the module name
+                return;
+            }
+            if (ts.isModuleBlock(node))
+            {
+                ts.forEachChild(node, walk);
+            }
+        }
+    }
+
+    // Get the names bound by import statements in a module, as a map
+    // of local name to the module and name imported ("default" for
+    // default imports, "*" for namespace imports)
+    function getModuleImports(module)
+    {
+        let moduleName = stripQuotes(module.name.getText());
+        let imports = new Map();
+        for (let node of module.body?.statements ?? [])
+        {
+            if (!ts.isImportDeclaration(node))
+                continue;
+
+            let specifier = stripQuotes(node.moduleSpecifier.getText());
+            let from = resolveModuleSpecifier(moduleName, specifier);
+            for (let [localName, imported] of getImportBindings(from, node))
+                imports.set(localName, Object.assign(imported, { specifier }));
+        }
+        return imports;
+    }
+
+    // Get the names bound by an import statement
+    function getImportBindings(from, node)
+    {
+        let bindings = new Map();
+        let clause = node.importClause;
+        if (!clause)
+            return bindings;
+
+        if (clause.name)
+            bindings.set(clause.name.getText(), { from, name: "default" });
+
+        let named = clause.namedBindings;
+        if (named && ts.isNamespaceImport(named))
+        {
+            bindings.set(named.name.getText(), { from, name: "*" });
+        }
+        else if (named)
+        {
+            for (let e of named.elements)
+                bindings.set(e.name.getText(), { from, name: e.propertyName?.getText() ?? e.name.getText() });
+        }
+        return bindings;
+    }
+
+    // Extract the text of a declaration, including its 
+    // immediately preceding comment block
+    function extractDeclaration(ms, node)
+    {
+        // Get the immediately preceding comment (but not triple-slash directives)
+        let startPos = node.getStart();
+        let comments = ts.getLeadingCommentRanges(ms.source, node.pos);
+        if (comments && comments.length > 0)
+        {
+            let comment = comments[comments.length - 1];
+            if (!ms.source.startsWith("///", comment.pos))
+                startPos = comment.pos;
+        }
+
+        // Work out the full range of text
+        let pos = find_bol_ws(ms.source, startPos);
+        let end = find_next_line_ws(ms.source, node.end);
+
+        return {
+            node,
+            originalPosition: pos,
+            definition: ms.substring(pos, end),
+            mappedSource: ms,
+        }
+    }
+
+    // Find all the statements in a module that declare a name 
+    // (there can be more than one, eg: overloads, merged namespaces etc...)
+    function findLocalDeclarations(module, name)
+    {
+        return module.body.statements.filter(x => {
+            if (ts.isVariableStatement(x))
+                return x.declarationList.declarations.some(d => d.name.getText() == name);
+            return x.name?.getText() == name;
+        });
+    }
+
+    // Find the declaration of a variable in a variable statement
+    function findVariable(node, name)
+    {
+        if (!ts.isVariableStatement(node))
+            return undefined;
+        return node.declarationList.declarations.find(d => d.name.getText() == name);
+    }
+
+    // Resolve a relative module specifier (eg: "./foo.js") against
+    // the name of the module it appears in
+    function resolveModuleSpecifier(fromModule, specifier)
+    {
+        if (!specifier.startsWith("."))
+            return specifier;
+
+        return path.posix.join(path.posix.dirname(fromModule), specifier)
+            .replace(/\.(d\.ts|js|mjs|cjs|ts)$/, "");
+    }
+
+    // Find a module by name
+    function findModule(moduleName)
+    {
+        return moduleMap.get(moduleName) ?? moduleMap.get(moduleName + "/index");
+    }
+
+    // Check if a module specifier refers to a third-party package
+    // (ie: not relative and not one of the input modules)
+    function isExternalModule(specifier)
+    {
+        return !specifier.startsWith(".") && !findModule(specifier);
+    }
+
+    // Get a module by name, optionally with the location of
+    // the reference to it for reporting unknown modules
+    function getModule(moduleName, location)
+    {
+        // Get the module
+        let module = findModule(moduleName);
+        if (!module)
+        {
+            diagnostics.push(createDiagnostic("DTS1001", `unknown module: ${moduleName}, ignored`, location));
+            return null;
+        }
+        return module;
+    }
+
+    function resolveExportDeclarations()
+    {
+        for (let m of moduleList)
+        {
+            resolveExportDeclarationsForModule(m);
+        }
+    }
+
+    function resolveExportDeclarationsForModule(module)
+    {
+        if (module.resolvedExports)
+            return;
+        module.resolvedExports = []; // prevent re-entry
+
+        let resolvedExports = new Set();
+        for (let e of module.exports)
+        {
+            // Already defined?
+            if (e.definition)
+            {
+                resolvedExports.add(e);
+            }
+            else
+            {
+                // Third-party import re-exported, written through the hoisted imports
+                if (e.importSpecifier && isExternalModule(e.importSpecifier))
+                {
+                    resolvedExports.add({
+                        name: e.name,
+                        module: module.name,
+                        node: e.exportNode,
+                        importFrom: e.from,
+                        importName: e.propertyName,
+                    });
+                    continue;
+                }
+
+                // Find definition in another module
+                let location = mapLocation(module.source, e.exportNode.getStart());
+                let importFromModule = getModule(e.from, location);
+                if (!importFromModule)
+                    continue;
+                
+                // Make sure it's resolved
+                resolveExportDeclarationsForModule(importFromModule);
+
+                if (e.name == "*")
+                {
+                    // Note: `export *` doesn't re-export the default export
+                    for (let e of importFromModule.resolvedExports)
+                    {
+                        if (e.name != "default" && e.name != "export=")
+                            resolvedExports.add(e);
+                    }
+                }
+                else
+                {
+                    // All the declarations with the name (overloads and 
+                    // merged declarations)
+                    let sourceName = e.propertyName ?? e.name;
+                    let found = importFromModule.resolvedExports.filter(x => x.name == sourceName);
+                    if (!found.length)
+                    {
+                        diagnostics.push(createDiagnostic("DTS1002", `couldn't find export '${sourceName}' in '${e.from}'`, location));
+                    }
+                    for (let f of found)
+                    {
+                        // Renamed export, same declaration different name
+                        if (sourceName != e.name)
+                            resolvedExports.add(Object.assign({}, f, { name: e.name }));
+                        else
+                            resolvedExports.add(f);
+                    }
+                }
+            }
+        }
+
+        module.resolvedExports = Array.from(resolvedExports);
+    }
+
+    // Build a map of declaration node to the name it should be referenced
+    // by in the flattened module.  Only includes declarations that are
+    // exclusively exported under an alias (ie: `export { a as b }`).  If
+    // the declaration is also exported under its original name, references 
+    // to it are left as is.
+    function buildRenameMap(exports)
+    {
+        let exportedNames = new Map();
+        for (let e of exports)
+        {
+            let node = getDeclaringNode(e);
+            let names = exportedNames.get(node);
+            if (!names)
+            {
+                names = [];
+                exportedNames.set(node, names);
+            }
+            names.push(e.name);
+        }
+
+        let renames = new Map();
+        for (let [node, names] of exportedNames)
+        {
+            // Default exports keep their original identifier
+            if (!node.name || names.includes("default"))
+                continue;
+
+            let originalName = node.name.getText();
+            if (!names.includes(originalName))
+                renames.set(node, names[0]);
+        }
+        return renames;
+    }
+
+    // Get the node that declares an export's name (for variables, the
+    // variable declaration rather than the statement, which can declare
+    // more than one variable)
+    function getDeclaringNode(declaration)
+    {
+        return declaration.variable ?? declaration.node;
+    }
+
+    // Check if a declaration is exported under its own name
+    function isExportedUnderOwnName(declaration)
+    {
+        let node = getDeclaringNode(declaration);
+        for (let e of currentEntry.exports)
+        {
+            if (getDeclaringNode(e) == node && e.name == node.name?.getText())
+                return true;
+        }
+        return false;
+    }
+
+    // Get the identifier an exported declaration is known by locally
+    // within the module that declared it
+    function getLocalName(declaration)
+    {
+        if (ts.isExportAssignment(declaration.node))
+            return declaration.target;
+        if (declaration.variable)
+            return declaration.variable.name.getText();
+        if (ts.isVariableStatement(declaration.node))
+        {
+            let names = declaration.node.declarationList.declarations.map(x => x.name.getText());
+            return names.includes(declaration.name) ? declaration.name : names[0];
+        }
+        return declaration.node.name?.getText();
+    }
+
+    // Check if an entry exports a declaration, either directly or as the
+    // target of an export assignment (an `export =` target can only be
+    // referenced from the entry itself)
+    function entryExports(entry, declaration)
+    {
+        let node = getDeclaringNode(declaration);
+        return Array.from(entry.exports).some(x => exportsNode(x, node) && 
+            (x.name != "export=" || entry == currentEntry));
+    }
+
+    // Check if an export is a declaration node, or assigns it
+    function exportsNode(exported, node)
+    {
+        return getDeclaringNode(exported) == node || 
+            (exported.targets?.some(x => getDeclaringNode(x) == node) ?? false);
+    }
+
+    // Find the entry a declaration should be referenced through, preferring
+    // the current entry.  Falls back to the current entry if not exported at all.
+    function findExportingEntry(declaration)
+    {
+        if (entryExports(currentEntry, declaration))
+            return currentEntry;
+        return entries.find(x => entryExports(x, declaration)) ?? currentEntry;
+    }
+
+    // Get the name a declaration is exported as by an entry
+    function getExportedName(entry, declaration)
+    {
+        let localName = getLocalName(declaration);
+        let node = getDeclaringNode(declaration);
+        if (entry == currentEntry)
+            return entry.renames.get(node) ?? localName;
+
+        let names = Array.from(entry.exports).filter(x => exportsNode(x, node)).map(x => x.name);
+        return names.includes(localName) ? localName : names[0];
+    }
+
+    // Given an identifier that references a type, work out the
+    // export it refers to
+    function findReferencedExport(declaration, node)
+    {
+        if (getReferencingNode(node))
+        {
+            // Reference to a declaration in the same module
+            let module = getModule(declaration.module);
+            let referenced = module?.exports.find(x => x.definition && x.name == node.getText())
+                ?? findUnexportedDeclaration(module, node.getText());
+            if (referenced)
+                return referenced;
+
+            // Imported from another input module
+            let imported = module?.imports.get(node.getText());
+            if (imported && imported.name != "*")
+                return findModule(imported.from)?.resolvedExports.find(x => x.name == imported.name);
+
+            return null;
+        }
+
+        // The left most name of an import type's qualifier (eg: `N` in `import("x").N.I`)
+        let qualifier = node;
+        while (ts.isQualifiedName(qualifier.parent) && qualifier.parent.left == qualifier)
+            qualifier = qualifier.parent;
+        let parent = qualifier.parent;
+        if (ts.isImportTypeNode(parent) && parent.qualifier == qualifier)
+        {
+            // Reference to an export of another module
+            let module = findModule(resolveModuleSpecifier(declaration.module, stripQuotes(parent.argument.getText())));
+            return module?.resolvedExports.find(x => x.name == node.getText())
+                ?? findUnexportedDeclaration(module, node.getText());
+        }
+
+        return null;
+    }
+
+    // Find a declaration that a module declares, but doesn't export
+    function findUnexportedDeclaration(module, name)
+    {
+        if (!module)
+            return null;
+
+        let nodes = findLocalDeclarations(module.node, name);
+        if (!nodes.length)
+            return null;
+
+        // Use the same declaration objects each time so they
+        // can be tracked by the entries that include them
+        let declaration = unexportedDeclarations.get(findVariable(nodes[0], name) ?? nodes[0]);
+        if (!declaration)
+        {
+            let overloads = nodes.map(x => Object.assign(extractDeclaration(module.mappedSource, x), {
+                name,
+                module: module.name,
+                variable: findVariable(x, name),
+            }));
+            overloads.forEach(x => x.overloads = overloads);
+            overloads.forEach(x => unexportedDeclarations.set(getDeclaringNode(x), x));
+            declaration = overloads[0];
+        }
+        return declaration;
+    }
+
+    // Get the names used by the declarations exported by an entry
+    function getNamesInUse(entry)
+    {
+        let names = new Map();
+        for (let e of entry.exports)
+        {
+            // Re-exported third-party imports are imported under the exported name
+            if (e.importFrom)
+            {
+                if (e.name != "default")
+                    names.set(e.name, importKey(e.importFrom, e.importName));
+                continue;
+            }
+
+            let node = getDeclaringNode(e);
+            names.set(e.name, node);
+            let localName = getLocalName(e);
+            if (localName && !names.has(localName))
+                names.set(localName, node);
+        }
+        return names;
+    }
+
+    // Handle a reference to a declaration that isn't exported by any entry
+    // by either including it in the current entry, or reporting it
+    function referenceUnexported(declaration, referenced, node)
+    {
+        if (referenceMode == "report")
+        {
+            report("DTS1005", `reference to '${node.getText()}' which isn't exported`, declaration, node);
+            return;
+        }
+
+        // Already included?
+        let referencedNode = getDeclaringNode(referenced);
+        if (currentEntry.included.some(x => getDeclaringNode(x) == referencedNode))
+            return;
+
+        // Work out a name that doesn't conflict with anything else in the entry
+        let localName = getLocalName(referenced);
+        let name = localName;
+        for (let i = 1; currentEntry.namesInUse.has(name) && currentEntry.namesInUse.get(name) != referencedNode; i++)
+            name = `${localName}_${i}`;
+
+        // Include it (and all its overloads)
+        for (let d of referenced.overloads ?? [ referenced ])
+        {
+            currentEntry.namesInUse.set(name, getDeclaringNode(d));
+            if (name != localName)
+                currentEntry.renames.set(getDeclaringNode(d), name);
+            currentEntry.included.push(Object.assign({}, d, { name }));
+        }
+    }
+
+    // Find the third-party import (if any) that an identifier refers to
+    // through an import statement in the declaration's module
+    function findExternalImport(declaration, node)
+    {
+        if (!getReferencingNode(node))
+            return null;
+
+        let imported = findModule(declaration.module)?.imports.get(node.getText());
+        if (!imported || !isExternalModule(imported.specifier))
+            return null;
+        return imported;
+    }
+
+    // Find the export referenced through a namespace import of another
+    // input module (eg: `ns.Type` after `import * as ns from "x"`), 
+    // reporting it if it can't be found
+    function findNamespaceImportReference(declaration, node)
+    {
+        if (!getReferencingNode(node))
+            return null;
+
+        let imported = findModule(declaration.module)?.imports.get(node.getText());
+        if (!imported || imported.name != "*" || isExternalModule(imported.specifier))
+            return null;
+
+        let parent = node.parent;
+        let member = ts.isQualifiedName(parent) ? parent.right : 
+            ts.isPropertyAccessExpression(parent) ? parent.name : null;
+        let referenced = member ? findModule(imported.from)?.resolvedExports.find(x => x.name == member.getText()) : null;
+        if (!referenced)
+            report("DTS1006", `unresolved reference: '${member?.getText() ?? node.getText()}' in module '${imported.from}'`, declaration, member ?? node);
+        return referenced ?? null;
+    }
+
+    // Get the type reference, heritage clause type or type query that an
+    // identifier is the left most name of (eg: `ns` in `ns.Type`), or null
+    function getReferencingNode(node)
+    {
+        let n = node;
+        while ((ts.isQualifiedName(n.parent) && n.parent.left == n) ||
+            (ts.isPropertyAccessExpression(n.parent) && n.parent.expression == n))
+            n = n.parent;
+        let parent = n.parent;
+        if ((ts.isTypeReferenceNode(parent) && parent.typeName == n) ||
+            (ts.isExpressionWithTypeArguments(parent) && parent.expression == n) ||
+            (ts.isTypeQueryNode(parent) && parent.exprName == n))
+            return parent;
+        return null;
+    }
+
+    // Check if an identifier refers to a type parameter that's in scope (of
+    // an enclosing declaration, mapped type or conditional type's `infer`)
+    function isTypeParameterReference(node)
+    {
+        let name = node.getText();
+        for (let n = node.parent; n; n = n.parent)
+        {
+            if (n.typeParameters?.some(x => x.name.getText() == name))
+                return true;
+            if (ts.isMappedTypeNode(n) && n.typeParameter.name.getText() == name)
+                return true;
+            if (ts.isConditionalTypeNode(n) && node.pos >= n.trueType.pos && node.end <= n.trueType.end && 
+                declaresInfer(n.extendsType, name))
+                return true;
+        }
+        return false;
+
+        function declaresInfer(type, name)
+        {
+            if (ts.isInferTypeNode(type) && type.typeParameter.name.getText() == name)
+                return true;
+            return ts.forEachChild(type, x => declaresInfer(x, name)) ?? false;
+        }
+    }
+
+    // Get the name to reference an export by from the current entry, 
+    // including (or reporting) it if no entry exports it
+    function getReferenceName(declaration, referenced, node)
+    {
+        if (!entries.some(x => entryExports(x, referenced)))
+            referenceUnexported(declaration, referenced, node);
+
+        let entry = findExportingEntry(referenced);
+        let name = getExportedName(entry, referenced);
+        if (entry == currentEntry)
+            return name;
+
+        // Exported by a different entry, reference it through that entry.  Heritage
+        // clauses can't use import types, so import it instead.
+        let referencing = getReferencingNode(node);
+        if (!referencing)
+            return name;
+        if (ts.isExpressionWithTypeArguments(referencing))
+            return addImport(entry.name, name);
+        return `import("${entry.name}").${name}`;
+    }
+
+    // Add a third-party import to the current entry, returning the
+    // local name it's imported as
+    function addImport(from, name, localName)
+    {
+        let names = currentEntry.imports.get(from);
+        if (!names)
+        {
+            names = new Map();
+            currentEntry.imports.set(from, names);
+        }
+
+        // Already imported?
+        if (names.has(name))
+            return names.get(name);
+
+        // Work out a name that doesn't conflict with anything else in the entry
+        let key = importKey(from, name);
+        localName = localName ?? (name == "default" ? from.replace(/^.*\//, "").replace(/[^A-Za-z0-9_$]/g, "_") : name);
+        let newName = localName;
+        for (let i = 1; currentEntry.namesInUse.has(newName) && currentEntry.namesInUse.get(newName) != key; i++)
+            newName = `${localName}_${i}`;
+        currentEntry.namesInUse.set(newName, key);
+        names.set(name, newName);
+        return newName;
+    }
+
+    // Get the key used to reserve the local name of a third-party import
+    function importKey(from, name)
+    {
+        return `import:${from}:${name}`;
+    }
+
+    // Write the hoisted third-party imports of an entry
+    function writeImports(out, entry)
+    {
+        let modules = Array.from(entry.imports.keys()).sort();
+        for (let from of modules)
+        {
+            let named = [];
+            for (let [name, localName] of entry.imports.get(from))
+            {
+                if (name == "*")
+                    out.append(`    import type * as ${localName} from "${from}";\n`);
+                else if (name == "default")
+                    out.append(`    import type ${localName} from "${from}";\n`);
+                else
+                    named.push(name == localName ? name : `${name} as ${localName}`);
+            }
+            if (named.length)
+                out.append(`    import type { ${named.join(", ")} } from "${from}";\n`);
+        }
+    }
+
+    // Write the triple-slash references to the top of an output file
+    function writeReferences(out, file)
+    {
+        for (let r of references.values())
+        {
+            let value = r.value;
+            if (r.kind == "path")
+                value = path.relative(path.dirname(path.resolve(file)), value).replace(/\\/g, "/");
+            out.append(`/// <reference ${r.kind}="${value}" />\n`);
+        }
+    }
+
+    // Write a global or module augmentation as is, except nested inside the
+    // entry's module block
+    function writeAugmentation(out, augmentation)
+    {
+        let definition = augmentation.definition.substring(0, augmentation.definition.source.length);
+
+        // Already nested in a module?
+        if (!ts.isSourceFile(augmentation.node.parent))
+        {
+            out.append(definition);
+            return;
+        }
+
+        // `declare` isn't allowed in the already ambient context
+        let declareKeyword = augmentation.node.modifiers?.find(x => x.kind == ts.SyntaxKind.DeclareKeyword);
+        if (declareKeyword)
+        {
+            let pos = declareKeyword.getStart() - augmentation.originalPosition;
+            let end = declareKeyword.end - augmentation.originalPosition;
+            while (definition.source[end] == ' ')
+                end++;
+            definition.delete(pos, end - pos);
+        }
+
+        // Indent it
+        for (let i = definition.source.length - 1; i >= 0; i--)
+        {
+            if ((i == 0 || definition.source[i - 1] == '\n') && definition.source[i] != '\n')
+                definition.insert(i, "    ");
+        }
+
+        out.append(definition);
+    }
+
+    // Check if a declaration (or one of its members) should be stripped, 
+    // recording it for the stripped declarations report if so
+    function stripDeclaration(declaration, node, name)
+    {
+        // Variables are checked by their statement, which has the doc comment
+        let reason = ts.isVariableDeclaration(node) ?
+            isStripped(node.parent.parent, name ?? node.name.getText()) :
+            isStripped(node, name);
+        if (!reason)
+            return false;
+
+        // Only record once per output file (the same declaration 
+        // can be written more than once)
+        if (!stripped.some(x => x.node == node && x.out == currentFile))
+        {
+            // Qualify member names with the names of their parents
+            let names = [];
+            for (let n = node; n && n != declaration.node; n = n.parent)
+            {
+                if (isStrippable(n))
+                    names.unshift(getDeclarationName(n) ?? declarationKinds[n.kind]);
+            }
+            names.unshift(declaration.name);
+
+            stripped.push(Object.assign({
+                node,
+                out: currentFile,
+                module: currentEntry.name,
+                name: names.join("."),
+                kind: declarationKinds[node.kind] ?? "declaration",
+                reason,
+            }, mapLocation(getModule(declaration.module).source, node.getStart())));
+        }
+        return true;
+    }
+
+    // Report a problem with a node in a declaration, once only
+    // for each location (the same declaration can be written more than once)
+    function report(code, message, declaration, node)
+    {
+        let location = mapLocation(getModule(declaration.module).source, node.getStart());
+        let key = `${code}:${location.file}:${location.line}:${location.column}`;
+        if (reported.has(key))
+            return;
+        reported.add(key);
+        diagnostics.push(createDiagnostic(code, message, location));
+    }
+
+    function writeDeclaration(out, declaration)
+    {
+        // Ignore if stripped
+        if (stripDeclaration(declaration, getDeclaringNode(declaration), declaration.name))
+            return;
+
+
+        // `export default x;` or `export = x;`
+        if (ts.isExportAssignment(declaration.node))
+        {
+            writeExportAssignment(out, declaration);
+            return;
+        }
+
+        // Re-exported third-party import
+        if (declaration.importFrom)
+        {
+            let localName = addImport(declaration.importFrom, declaration.importName, 
+                declaration.name == "default" ? null : declaration.name);
+            let specifier = localName == declaration.name ? localName : `${localName} as ${declaration.name}`;
+            out.append(`    export { ${specifier} };\n`);
+            return;
+        }
+
+        // `export { x as default }`
+        if (declaration.name == "default" && !isDefaultExport(declaration.node))
+        {
+            if (!isExportedUnderOwnName(declaration))
+                writeDefinition(out, declaration, { stripExport: true });
+            out.append(`    export default ${getLocalName(declaration)};\n`);
+            return;
+        }
+
+        writeDefinition(out, declaration);
+    }
+
+    function writeExportAssignment(out, declaration)
+    {
+        // Write the declarations the assignment refers to, unless
+        // they're already exported under their own name
+        for (let t of declaration.targets)
+        {
+            if (!isExportedUnderOwnName(t))
+                writeDefinition(out, t, { stripExport: true });
+        }
+
+        // Write the export statement
+        if (declaration.name == "default" || declaration.name == "export=")
+            writeDefinition(out, declaration);
+        else
+            out.append(`    export { ${declaration.target} as ${declaration.name} };\n`);
+    }
+
+    function writeDefinition(out, declaration, writeOptions)
+    {
+        let ms = declaration.mappedSource;
+
+        // Work on a copy of the definition since the same declaration 
+        // can be written more than once under different names
+        let definition = declaration.definition.substring(0, declaration.definition.source.length);
+
+        // Clean up the declaration
+        let edits = [];
+
+        if (writeOptions?.stripExport)
+            currentEntry.hasUnexported = true;
+
+        // Exported via a separate export statement, add the export modifier
+        if (!writeOptions?.stripExport && !isExport(declaration.node) && !ts.isExportAssignment(declaration.node))
+        {
+            let pos = declaration.node.getStart();
+            edits.push({ pos, end: pos, text: "export " });
+        }
+
+        ts.forEachChild(declaration.node, walk);
+        edits.sort((a,b) => b.pos - a.pos);
+        let prev = null;
+        for (let e of edits)
+        {
+            // Sanity check no overlapping ranges
+            if (prev && e.end > prev.pos)
+                throw new Error("overlapping edit ranges");
+            prev = e;
+
+            definition.splice(
+                e.pos - declaration.originalPosition,
+                e.end - e.pos,
+                e.text ?? ""
+            );
+        }
+
+        // Write ite
+        out.append(definition);
+
+        // Replace an identifier with a new name, keeping the
+        // mappings of the original name
+        function renameNode(node, newName)
+        {
+            let pos = node.getStart();
+            let end = node.end;
+            let map = ms.map
+                .filter(x => x.offset >= pos && x.offset < end)
+                .map(x => Object.assign({}, x, { offset: x.offset - pos }));
+            edits.push({ pos, end, text: new MappedSource(newName, map) });
+        }
+
+        // Delete a keyword token and the white-space that follows it
+        function deleteToken(node)
+        {
+            let pos = node.getStart();
+            let end = node.end;
+            while (ms.source[end] == ' ')
+                end++;
+            edits.push({ pos, end });
+        }
+
+        // Delete a node and 1x preceding comment block
+        function deleteNode(node)
+        {
+            let pos = node.getStart();
+            let comments = ts.getLeadingCommentRanges(ms.source, node.pos);
+            if (comments && comments.length > 0)
+                pos = comments[comments.length-1].pos;
+
+            // Enum members include their separating comma
+            let end = node.end;
+            if (ts.isEnumMember(node) && ms.source[end] == ',')
+                end++;
+
+            pos = find_bol_ws(ms.source, pos);
+            end = find_next_line_ws(ms.source, end);
+            edits.push({ pos, end });
+        }
+
+        // Delete a variable from a statement declaring more than 
+        // one, along with the comma separating it from the variable
+        // being written
+        function deleteVariable(node)
+        {
+            let list = node.parent.declarations;
+            let index = list.indexOf(node);
+            if (index < list.indexOf(declaration.variable))
+                edits.push({ pos: node.getStart(), end: list[index + 1].getStart() });
+            else
+                edits.push({ pos: list[index - 1].end, end: node.end });
+        }
+    
+        function walk(node)
+        {
+            // Modifiers of the declaration itself
+            if (node.parent == declaration.node)
+            {
+                // Default export re-exported under another name
+                if (node.kind == ts.SyntaxKind.DefaultKeyword && declaration.name != "default")
+                {
+                    deleteToken(node);
+
+                    // Anonymous, insert the name
+                    if (!declaration.node.name)
+                    {
+                        let keyword = declaration.node.getChildren().find(x => 
+                            x.kind == ts.SyntaxKind.FunctionKeyword || 
+                            x.kind == ts.SyntaxKind.ClassKeyword
+                        );
+                        if (keyword)
+                        {
+                            // Replacing any space before the parameters or class body
+                            let end = keyword.end;
+                            if (ms.source[end] == ' ' && ms.source[end + 1] == '(')
+                                end++;
+                            edits.push({ pos: keyword.end, end, text: ` ${declaration.name}` });
+                        }
+                    }
+                    return;
+                }
+
+                // Declaration that shouldn't be exported
+                if (node.kind == ts.SyntaxKind.ExportKeyword && writeOptions?.stripExport)
+                {
+                    deleteToken(node);
+                    return;
+                }
+            }
+
+            if (ts.isIdentifier(node))
+            {
+                // Rename the declaration itself if exported under an alias
+                let newName;
+                if (node == getDeclaringNode(declaration).name)
+                {
+                    if (declaration.name != "default")
+                        newName = declaration.name;
+                }
+                else if (getReferencingNode(node) && isTypeParameterReference(node))
+                {
+                    // Type parameters hide declarations with the same name
+                    return;
+                }
+                else
+                {
+                    // Rename references to aliased declarations, and references 
+                    // to default exports to the identifier they're declared as
+                    let referenced = findReferencedExport(declaration, node);
+                    if (referenced)
+                    {
+                        newName = getReferenceName(declaration, referenced, node);
+                    }
+                    else if ((referenced = findNamespaceImportReference(declaration, node)))
+                    {
+                        // Replace `ns.Type` with a reference to the export itself
+                        newName = getReferenceName(declaration, referenced, node);
+                        renameNode(node.parent, newName);
+                        return;
+                    }
+                    else
+                    {
+                        // Imported from a third-party package
+                        let imported = findExternalImport(declaration, node);
+                        if (imported)
+                            newName = addImport(imported.from, imported.name, node.getText());
+                    }
+                }
+
+                if (newName && newName != node.getText())
+                    renameNode(node, newName);
+                return;
+            }
+
+            // Other variables declared by the same statement
+            if (ts.isVariableDeclaration(node) && declaration.variable && node != declaration.variable)
+            {
+                deleteVariable(node);
+                return;
+            }
+
+            // Delete #private fields, private members and anything 
+            // matching the strip rules
+            if (isStrippable(node) && stripDeclaration(declaration, node))
+            {
+                deleteNode(node);
+                return;
+            }
+            
+            if (ts.isImportTypeNode(node) && node.qualifier)
+            {
+                let specifier = stripQuotes(node.argument.getText());
+                let moduleName = resolveModuleSpecifier(declaration.module, specifier);
+                if (isExternalModule(specifier))
+                {
+                    // Replace: import("<package>").Name with an imported name
+                    let name = node.qualifier;
+                    while (ts.isQualifiedName(name))
+                        name = name.left;
+                    let localName = addImport(moduleName, name.getText());
+                    edits.push({
+                        pos: ms.source.indexOf("import", node.getStart()),
+                        end: node.qualifier.pos,
+                    });
+                    if (localName != name.getText())
+                        renameNode(name, localName);
+                }
+
+                let importedModule = isExternalModule(specifier) ? null : 
+                    getModule(moduleName, mapLocation(findModule(declaration.module).source, node.argument.getStart()));
+                if (importedModule)
+                {
+                    let name = node.qualifier;
+                    while (ts.isQualifiedName(name))
+                        name = name.left;
+                    let referenced = findReferencedExport(declaration, name);
+                    if (!referenced)
+                    {
+                        report("DTS1006", `unresolved reference: '${name.getText()}' in module '${importedModule.name}'`, declaration, name);
+                    }
+                    else
+                    {
+                        let entry = findExportingEntry(referenced);
+                        if (entry == currentEntry)
+                        {
+                            // Remove: import(<knownmodule>).  (but not the `typeof`
+                            // of `typeof import(...)`)
+                            edits.push({
+                                pos: ms.source.indexOf("import", node.getStart()),
+                                end: node.qualifier.pos,
+                            })
+                        }
+                        else
+                        {
+                            // Replace: import(<knownmodule>) with import(<entrymodule>)
+                            edits.push({
+                                pos: node.argument.getStart(),
+                                end: node.argument.end,
+                                text: `"${entry.name}"`,
+                            });
+                        }
+                    }
+                }
+            }
+            ts.forEachChild(node, walk);
+        }
+    }
+}
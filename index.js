@@ -8,6 +8,10 @@ import { cmdExtract } from "./cmdExtract.js";
 import { cmdList } from "./cmdList.js";
 import { cmdListMap } from "./cmdListMap.js";
 import { cmdMapPosition } from "./cmdMapPosition.js";
+import { cmdComposeMap } from "./cmdComposeMap.js";
+import { cmdVerifyMap } from "./cmdVerifyMap.js";
+import { cmdApiReport } from "./cmdApiReport.js";
+import { cmdDiff } from "./cmdDiff.js";
 
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 
@@ -33,15 +37,29 @@ function showHelp()
     showArgs({
         "flatten": "Flattens the exports of a module",
         "extract": "Creates .json file describing the file contents",
+        "api-report": "Creates (or checks) a report of the API declared in a .d.ts file",
+        "diff": "Compares two versions of an API and recommends a version bump",
         "list": "List the declarations and positions in a .d.ts file",
         "list-map": "List the contents of a .map file",
         "map-position": "Map one or more source positions to original positions",
+        "compose-map": "Compose a chain of source maps into a single map",
+        "verify-map": "Check the mappings in a source map",
 
     });
 
     console.log("\nRun 'dts-tool <cmd> --help' for command specific help.");
 }
 
+// Report errors that escape an async command (eg: a missing or
+// invalid config file) instead of leaving the promise rejected
+function runAsync(promise)
+{
+    promise.catch(err => {
+        console.error(err.message);
+        process.exit(7);
+    });
+}
+
 
 let args = clargs();
 while (args.next())
@@ -60,11 +78,19 @@ while (args.next())
             switch (args.readValue())
             {
                 case "flatten":
-                    cmdFlatten(args.readTail());
+                    runAsync(cmdFlatten(args.readTail()));
                     break;
 
                 case "extract":
-                    cmdExtract(args.readTail());
+                    runAsync(cmdExtract(args.readTail()));
+                    break;
+
+                case "api-report":
+                    runAsync(cmdApiReport(args.readTail()));
+                    break;
+
+                case "diff":
+                    cmdDiff(args.readTail());
                     break;
 
                 case "list":
@@ -79,6 +105,14 @@ while (args.next())
                     cmdMapPosition(args.readTail());
                     break;
 
+                case "compose-map":
+                    cmdComposeMap(args.readTail());
+                    break;
+
+                case "verify-map":
+                    cmdVerifyMap(args.readTail());
+                    break;
+
 
             }
             break;
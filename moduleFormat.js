@@ -0,0 +1,137 @@
+import ts from 'typescript';
+
+/**
+ * The supported output formats:
+ *
+ * - `ambient` - a `declare module "<name>" { }` block for each entry
+ * - `module` - a module-style .d.ts file with top-level exports
+ * - `esm` - a module-style .d.mts file
+ * - `cjs` - a module-style .d.cts file (the same declarations as `esm`, 
+ *   which TypeScript reads as CommonJS exports in a .d.cts file, except 
+ *   that `export =` is kept)
+ */
+export const outputFormats = [ "ambient", "module", "esm", "cjs" ];
+
+const formatExtensions = {
+    esm: ".d.mts",
+    cjs: ".d.cts",
+};
+
+/**
+ * Gets the name of the output file for a format, replacing the
+ * extension of the .d.ts file name for the ESM and CJS formats
+ * @param {string} filename The .d.ts file name
+ * @param {string} format The output format
+ * @returns {string}
+ */
+export function outputFileName(filename, format)
+{
+    let ext = formatExtensions[format];
+    if (!ext)
+        return filename;
+    return filename.replace(/(\.d)?\.[mc]?ts$/, "") + ext;
+}
+
+/**
+ * Converts an ambient module declaration (ie: `declare module "x" { ... }`) to
+ * module-style top-level declarations.
+ *
+ * The module block is removed, its content is un-indented and `declare`
+ * is added to any top-level declarations that aren't exported (including
+ * global and module augmentations).  The `export {};` statement that stops
+ * an ambient module's declarations being implicitly exported is removed 
+ * since it's not needed in a module file.
+ *
+ * ES modules can't use `export =`, so for the `esm` format it's converted 
+ * to `export default` (which is how ES modules see a CommonJS module's
+ * exports).
+ *
+ * @param {import("./MappedSource.js").MappedSource} ms The ambient module declaration
+ * @param {string} [format] The output format (`module`, `esm` or `cjs`)
+ * @returns {import("./MappedSource.js").MappedSource} The module-style declarations
+ */
+export function ambientToModule(ms, format)
+{
+    let ast = ts.createSourceFile("module.d.ts", ms.source, ts.ScriptTarget.Latest, true);
+    let module = ast.statements.find(x => ts.isModuleDeclaration(x));
+    if (!module?.body || !ts.isModuleBlock(module.body))
+        throw new Error("expected an ambient module declaration");
+
+    let src = ms.source;
+    let edits = [];
+
+    // Remove the opening `declare module "x" {` line
+    let open = module.body.getStart(ast);
+    let bodyStart = src.indexOf("\n", open) + 1;
+    edits.push({ pos: module.getStart(ast), end: bodyStart });
+
+    // Remove the closing brace (and any blank lines before it)
+    let close = module.body.end - 1;
+    let bodyEnd = close;
+    while (bodyEnd > bodyStart && /\s/.test(src[bodyEnd - 1]))
+        bodyEnd--;
+    if (src[bodyEnd] == '\n')
+        bodyEnd++;
+    let moduleEnd = module.end;
+    if (src[moduleEnd] == '\n')
+        moduleEnd++;
+    edits.push({ pos: bodyEnd, end: moduleEnd });
+
+    // Top-level declarations need to be either exported or declared
+    for (let s of module.body.statements)
+    {
+        // `export {};` isn't needed if there's anything else to make it a module
+        if (isEmptyExport(s) && module.body.statements.some(x => x != s && isModuleStatement(x)))
+        {
+            let pos = src.lastIndexOf("\n", s.getStart(ast)) + 1;
+            let end = src.indexOf("\n", s.end) + 1 || s.end;
+            edits.push({ pos, end });
+            continue;
+        }
+
+        if (ts.isExportAssignment(s) && s.isExportEquals && format == "esm")
+        {
+            edits.push({ pos: s.getStart(ast), end: s.expression.getStart(ast), text: "export default " });
+            continue;
+        }
+
+        if (ts.isImportDeclaration(s) || ts.isExportDeclaration(s) || ts.isExportAssignment(s))
+            continue;
+        if (s.modifiers?.some(x => x.kind == ts.SyntaxKind.ExportKeyword || x.kind == ts.SyntaxKind.DeclareKeyword))
+            continue;
+        let pos = s.getStart(ast);
+        edits.push({ pos, end: pos, text: "declare " });
+    }
+
+    // Un-indent the content (except lines already deleted)
+    let deleted = edits.filter(x => x.end > x.pos);
+    for (let i = bodyStart; i < bodyEnd; i = src.indexOf("\n", i) + 1 || bodyEnd)
+    {
+        if (src.startsWith("    ", i) && !deleted.some(x => x.pos <= i && x.end > i))
+            edits.push({ pos: i, end: i + 4 });
+    }
+
+    // Apply the edits to a copy, from the end
+    let out = ms.substring(0, src.length);
+    edits.sort((a, b) => b.pos - a.pos);
+    for (let e of edits)
+        out.splice(e.pos, e.end - e.pos, e.text ?? "");
+    return out;
+}
+
+// Check if a statement is `export {};`
+function isEmptyExport(node)
+{
+    return ts.isExportDeclaration(node) && 
+        !node.moduleSpecifier && 
+        node.exportClause && ts.isNamedExports(node.exportClause) &&
+        node.exportClause.elements.length == 0;
+}
+
+// Check if a statement makes a file a module
+function isModuleStatement(node)
+{
+    if (ts.isImportDeclaration(node) || ts.isExportDeclaration(node) || ts.isExportAssignment(node))
+        return true;
+    return node.modifiers?.some(x => x.kind == ts.SyntaxKind.ExportKeyword) ?? false;
+}
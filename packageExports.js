@@ -0,0 +1,116 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * @typedef PackageEntry
+ * @property {string} name The public module name of the entry point (eg: "@scope/lib/server")
+ * @property {string} jsFile The JavaScript file the entry point resolves to (relative to the package)
+ * @property {string} typesFile The declaration file advertised for the entry point (relative to the package)
+ */
+
+/**
+ * Reads the entry points of a package from its package.json file
+ *
+ * Uses the `exports` map if present (including conditional `types`
+ * entries), otherwise falls back to `main` and `types`/`typings`.
+ *
+ * @param {string} packageFile The package.json file to read
+ * @param {(message: string) => void} [warning] Callback for reporting warnings
+ * @returns {PackageEntry[]}
+ */
+export function readPackageEntries(packageFile, warning)
+{
+    warning = warning ?? (message => console.error(`warning: ${message}`));
+
+    let pkg = JSON.parse(fs.readFileSync(packageFile, "utf8"));
+    if (!pkg.name)
+        throw new Error(`${packageFile}: missing package name`);
+
+    let entries = [];
+    let exports = pkg.exports;
+    if (exports === undefined || exports === null)
+    {
+        // No exports map, use main
+        addEntry(".", pkg.main ?? "./index.js", null);
+    }
+    else if (typeof exports === "string" || Array.isArray(exports) || !Object.keys(exports).some(x => x.startsWith(".")))
+    {
+        // Main entry point only (string, array or conditions)
+        addEntry(".", resolveTarget(exports, false), resolveTarget(exports, true));
+    }
+    else
+    {
+        // Sub-path exports
+        for (let [subpath, target] of Object.entries(exports))
+        {
+            if (subpath.includes("*"))
+            {
+                warning(`${packageFile}: wildcard export '${subpath}' not supported, ignored`);
+                continue;
+            }
+            addEntry(subpath, resolveTarget(target, false), resolveTarget(target, true));
+        }
+    }
+
+    return entries;
+
+    function addEntry(subpath, jsFile, typesFile)
+    {
+        // Ignore non-JavaScript exports (eg: "./package.json")
+        if (!jsFile || !/\.[mc]?js$/.test(jsFile))
+            return;
+
+        // Top level types field applies to the main entry point
+        if (subpath == "." && !typesFile)
+            typesFile = pkg.types ?? pkg.typings;
+
+        // Same place TypeScript would look for it
+        if (!typesFile)
+            typesFile = jsFile.replace(/\.([mc]?)js$/, ".d.$1ts");
+
+        entries.push({
+            name: subpath == "." ? pkg.name : path.posix.join(pkg.name, subpath),
+            jsFile: path.posix.normalize(jsFile),
+            typesFile: path.posix.normalize(typesFile),
+        });
+    }
+}
+
+// Resolve an exports target to either the JavaScript file, or
+// the types file
+function resolveTarget(target, types)
+{
+    if (typeof target === "string")
+    {
+        let isTypes = /\.d\.[mc]?ts$/.test(target);
+        return isTypes == types ? target : null;
+    }
+
+    if (Array.isArray(target))
+    {
+        for (let t of target)
+        {
+            let resolved = resolveTarget(t, types);
+            if (resolved)
+                return resolved;
+        }
+        return null;
+    }
+
+    if (target && typeof target === "object")
+    {
+        if (types && typeof target.types === "string")
+            return target.types;
+
+        for (let [condition, value] of Object.entries(target))
+        {
+            if (condition == "types")
+                continue;
+            let resolved = resolveTarget(value, types);
+            if (resolved)
+                return resolved;
+        }
+    }
+
+    return null;
+}
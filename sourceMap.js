@@ -1,4 +1,4 @@
-import path from 'node:path';
+import fs from 'node:fs';
 import ts from 'typescript';
 import { isDeclarationNode } from './utils.js';
 import { SourceFile } from "./SourceFile.js";
@@ -6,13 +6,21 @@ import { escapeRegExp } from './utils.js';
 import { MappedSource } from './MappedSource.js';
 
 let lastOriginalFileName = null;
+let lastOriginalFileTime = 0;
 let lastOriginalFile;
 function loadOriginalFile(sourceFileName)
 {
-    if (lastOriginalFileName == sourceFileName)
+    // Original file might not be available (eg: in-memory input)
+    if (!fs.existsSync(sourceFileName))
+        return null;
+
+    // Also check the modified time in case the file has changed (watch mode)
+    let mtime = fs.statSync(sourceFileName).mtimeMs;
+    if (lastOriginalFileName == sourceFileName && lastOriginalFileTime == mtime)
         return lastOriginalFile;
 
     lastOriginalFileName = sourceFileName;
+    lastOriginalFileTime = mtime;
     lastOriginalFile = SourceFile.fromFile(sourceFileName);
     return lastOriginalFile;
 }
@@ -29,9 +37,59 @@ function regExpForName(name) {
 }
 
 
+// Declarations mapped in addition to isDeclarationNode
+const mappedKinds = new Set([
+    ts.SyntaxKind.MethodSignature,
+    ts.SyntaxKind.PropertySignature,
+    ts.SyntaxKind.Constructor,
+    ts.SyntaxKind.TypeAliasDeclaration,
+    ts.SyntaxKind.Parameter,
+    ts.SyntaxKind.EnumMember,
+    ts.SyntaxKind.TypeParameter,
+]);
+
+// Get the name of a declaration to be mapped (the `constructor` keyword
+// for constructors), or null if the node isn't mapped
+function getMappedName(node)
+{
+    if (!isDeclarationNode(node) && !mappedKinds.has(node.kind))
+        return null;
+    if (ts.isConstructorDeclaration(node))
+        return node.getChildren().find(x => x.kind == ts.SyntaxKind.ConstructorKeyword) ?? null;
+
+    // Destructured parameters and computed names can't be searched for
+    if (!node.name || ts.isBindingPattern(node.name) || ts.isComputedPropertyName(node.name))
+        return null;
+    return node.name;
+}
+
+
+/**
+ * Finds a symbol name in an original source file, searching forward 
+ * from the start of a mapped line (see createSourceMap)
+ * @param {SourceFile} originalSourceFile The original source file
+ * @param {number} line The mapped line number
+ * @param {string} name The name to look for
+ * @returns {{line: number, column: number}} The position of the name, or null if not found
+ */
+export function findOriginalName(originalSourceFile, line, name)
+{
+    // Searching from the start of the line instead of the original position column
+    // helps this works for cases like where name is before the declaration eg:  "{ name: function () }"
+    // In these cases the originalPos.column is after "name"
+    let originalOffsetStart = originalSourceFile.lineMap.toOffset(line, 0);
+
+    let rx = new RegExp(regExpForName(name), 'g');
+    rx.lastIndex = originalOffsetStart;
+    let m = rx.exec(originalSourceFile.code);
+    return m ? originalSourceFile.lineMap.fromOffset(m.index) : null;
+}
+
+
 /**
  * Creates a source map for a file by walking the ast, finding all declaraion
- * names and mapping them to either the the position in the file, or if the 
+ * names (including members, parameters, enum members and type parameters) 
+ * and mapping them to either the the position in the file, or if the 
  * file has a source mapping itself, to what ever it maps to.
  * 
  * Because the .map files generated by tsc can be a bit out of whack, when
@@ -43,9 +101,6 @@ function regExpForName(name) {
  */
 export function createSourceMap(source, ast)
 {
-    // Get base directory for relative path names
-    let relbase = path.dirname(path.resolve(source.filename));
-
     // Start with just the source code
     let map = [];
     ts.forEachChild(ast, walk);
@@ -53,11 +108,12 @@ export function createSourceMap(source, ast)
 
     function walk(node)
     {
-        if (isDeclarationNode(node) && node.name && node.kind != ts.SyntaxKind.ModuleDeclaration)
+        let nameNode = getMappedName(node);
+        if (nameNode)
         {
             // Get the name and its position
-            let name = node.name.getText();
-            let nameOffset = node.name.getStart();
+            let name = nameNode.getText();
+            let nameOffset = nameNode.getStart();
 
             // Ignore private fields
             if (name.startsWith("#"))
@@ -69,29 +125,24 @@ export function createSourceMap(source, ast)
             let mapped = false;
             if (source.sourceMap)
             {
+                // tsc doesn't always map the start of a line (eg: members of
+                // typedefs), so if there's nothing at or before the name, use
+                // the next point on the same line
                 let originalPos = source.sourceMap.originalPositionFor(namepos);
+                if (!originalPos.source)
+                    originalPos = source.sourceMap.originalPositionFor({ line: namepos.line, column: namepos.column, bias: -1 /* LEAST_UPPER_BOUND */ });
                 if (originalPos.source)
                 {
-                    let originalSource = originalPos.source;
-
-                    // Load the original file
-                    let originalSourceFile = loadOriginalFile(path.join(relbase, originalPos.source));
-
-                    // Look for the symbol
+                    let originalSource = source.originalFileName(originalPos.source);
 
-                    // Searching from the start of the line instead of the original position column
-                    // helps this works for cases like where name is before the declaration eg:  "{ name: function () }"
-                    // In these cases the originalPos.column is after "name"
-                    let originalOffsetStart = originalSourceFile.lineMap.toOffset(originalPos.line, 0);//originalPos.column);
+                    // Load the original file (might not be available, eg: in-memory 
+                    // input, in which case just use the position as mapped)
+                    let originalSourceFile = loadOriginalFile(originalSource);
+                    if (originalSourceFile)
+                        originalPos = findOriginalName(originalSourceFile, originalPos.line, name);
 
-                    let rx = new RegExp(regExpForName(name), 'g');
-                    rx.lastIndex = originalOffsetStart;
-                    let m = rx.exec(originalSourceFile.code);
-                    if (m)
+                    if (originalPos)
                     {
-                        originalOffsetStart = m.index;
-                        originalPos = originalSourceFile.lineMap.fromOffset(originalOffsetStart);
-                        
                         // Start of name
                         map.push({
                             offset: nameOffset,
@@ -0,0 +1,154 @@
+import ts from 'typescript';
+import { isPrivateOrInternal, getJSDocTagNames } from "./utils.js";
+
+/**
+ * @typedef StripRule
+ * @property {string} [tag] Matches declarations with this JSDoc tag (eg: "hidden")
+ * @property {string} [name] Regular expression the declaration's name must match (eg: "^\\$")
+ * @property {string | string[]} [kind] The kind(s) of declaration to match (eg: "method")
+ * @property {"exclude" | "include"} [action] What to do with matching declarations (default "exclude")
+ */
+
+/**
+ * @typedef StripOptions
+ * @property {string[]} [prefixes] Strip declarations with names starting with these prefixes (default `["_"]`)
+ * @property {boolean} [internal] Set to false to keep declarations marked @internal
+ * @property {StripRule[]} [rules] Additional rules, applied in order (the last matching rule wins)
+ * @property {"public" | "beta" | "alpha" | "internal"} [release] Strip declarations with a release
+ * tag (`@beta`, `@alpha` or `@internal`) less mature than this
+ */
+
+/**
+ * The release tags, least mature first.  Declarations without
+ * a release tag are public.
+ */
+export const releaseTags = [ "internal", "alpha", "beta", "public" ];
+
+/**
+ * The declaration kinds that can be used in strip rules
+ */
+export const declarationKinds = {
+    [ts.SyntaxKind.ClassDeclaration]: "class",
+    [ts.SyntaxKind.InterfaceDeclaration]: "interface",
+    [ts.SyntaxKind.FunctionDeclaration]: "function",
+    [ts.SyntaxKind.MethodDeclaration]: "method",
+    [ts.SyntaxKind.MethodSignature]: "method",
+    [ts.SyntaxKind.PropertyDeclaration]: "property",
+    [ts.SyntaxKind.PropertySignature]: "property",
+    [ts.SyntaxKind.GetAccessor]: "get",
+    [ts.SyntaxKind.SetAccessor]: "set",
+    [ts.SyntaxKind.Constructor]: "constructor",
+    [ts.SyntaxKind.ConstructSignature]: "constructor",
+    [ts.SyntaxKind.CallSignature]: "call-signature",
+    [ts.SyntaxKind.IndexSignature]: "index-signature",
+    [ts.SyntaxKind.VariableDeclaration]: "variable",
+    [ts.SyntaxKind.VariableStatement]: "variable",
+    [ts.SyntaxKind.TypeAliasDeclaration]: "type-alias",
+    [ts.SyntaxKind.EnumDeclaration]: "enum",
+    [ts.SyntaxKind.EnumMember]: "enum-member",
+    [ts.SyntaxKind.ModuleDeclaration]: "namespace",
+};
+
+/**
+ * Checks if a node is a declaration that can be stripped.  Variables
+ * are stripped by their statement, not the individual declarations.
+ * @param {ts.Node} node The node to check
+ * @returns {boolean}
+ */
+export function isStrippable(node)
+{
+    return declarationKinds[node.kind] !== undefined && node.kind != ts.SyntaxKind.VariableDeclaration;
+}
+
+/**
+ * Gets the name of a strippable declaration (the first variable
+ * for variable statements)
+ * @param {ts.Node} node The declaration
+ * @returns {string} The name, or null if the declaration doesn't have one
+ */
+export function getDeclarationName(node)
+{
+    if (ts.isVariableStatement(node))
+        return node.declarationList.declarations[0]?.name.getText() ?? null;
+    return node.name?.getText() ?? null;
+}
+
+/**
+ * Creates a function that decides whether a declaration should be
+ * stripped from the output.
+ *
+ * The built-in rules strip `#private` fields, declarations whose name
+ * starts with one of the strip prefixes, `private` members and declarations
+ * marked `@internal`.  Release tag trimming and the additional rules
+ * are then applied, with the last matching rule deciding.  The same
+ * rules apply to top-level declarations and members.
+ *
+ * @param {StripOptions} [options] The strip options
+ * @returns {(node: ts.Node, name?: string) => string} The filter function, which returns the 
+ * reason the declaration should be stripped (eg: "internal", "release:beta", "rule:hidden"), 
+ * or null to keep it.  `name` is the name to match against the prefixes and rules (for
+ * exported declarations, the name they're exported as) and defaults to the declared name.
+ */
+export function createStripFilter(options)
+{
+    let prefixes = options?.prefixes ?? [ "_" ];
+    let keepInternal = options?.internal === false;
+    let release = options?.release ? releaseTags.indexOf(options.release) : -1;
+    if (options?.release && release < 0)
+        throw new Error(`invalid release tag: ${options.release}`);
+
+    let rules = (options?.rules ?? []).map(x => {
+        if (x.action && x.action != "exclude" && x.action != "include")
+            throw new Error(`invalid strip rule action: ${x.action}`);
+        let kinds = x.kind ? [].concat(x.kind) : null;
+        let unknownKind = kinds?.find(k => !Object.values(declarationKinds).includes(k));
+        if (unknownKind)
+            throw new Error(`invalid strip rule kind: ${unknownKind}`);
+        return {
+            description: [ x.tag, x.name, x.kind ].filter(x => x).join(","),
+            tag: x.tag?.replace(/^@/, ""),
+            name: x.name ? new RegExp(x.name) : null,
+            kinds,
+            exclude: (x.action ?? "exclude") == "exclude",
+        };
+    });
+
+    return function(node, name)
+    {
+        name = name ?? getDeclarationName(node);
+
+        // #private can't be kept
+        if (name == "#private")
+            return "private";
+
+        // Built-in rules
+        let strip = null;
+        if (name && prefixes.some(x => name.startsWith(x)))
+            strip = "prefix";
+        if (isPrivateOrInternal(node, keepInternal))
+            strip = isPrivateOrInternal(node, true) ? "private" : "internal";
+
+        // Release tags
+        let tags = getJSDocTagNames(node);
+        if (release >= 0)
+        {
+            let tag = tags.find(x => releaseTags.includes(x)) ?? "public";
+            if (releaseTags.indexOf(tag) < release)
+                strip = `release:${tag}`;
+        }
+
+        // Additional rules
+        for (let r of rules)
+        {
+            if (r.tag && !tags.includes(r.tag))
+                continue;
+            if (r.name && !(name && r.name.test(name)))
+                continue;
+            if (r.kinds && !r.kinds.includes(declarationKinds[node.kind]))
+                continue;
+            strip = r.exclude ? `rule:${r.description}` : null;
+        }
+
+        return strip;
+    }
+}
@@ -1,6 +1,38 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import ts from "typescript";
 import { strict as assert } from "node:assert";
 import { test } from "node:test";
-import { MappedSource } from "./MappedSource.js";
+import { SourceMapConsumer, SourceMapGenerator } from "@jridgewell/source-map";
+import { MappedSource, inlineSourceMapURL, loadSourceMap, parseDataURL, withSourceMappingURL } from "./MappedSource.js";
+import { SourceFile } from "./SourceFile.js";
+import { apiDiff } from "./apiDiff.js";
+import { compileDeclarations } from "./compileDeclarations.js";
+import { composeSourceMaps } from "./composeMaps.js";
+import { extract } from "./extract.js";
+import { flatten } from "./flatten.js";
+import { readPackageEntries } from "./packageExports.js";
+import { createSourceMap } from "./sourceMap.js";
+import { verifySourceMap } from "./verifyMap.js";
+
+// Flatten in-memory declarations
+function flattenCode(code, options)
+{
+    return flatten(Object.assign({
+        moduleName: "lib",
+        input: [ { filename: "in.d.ts", code } ],
+    }, options));
+}
+
+// The name and original position of the start of each mapped name
+function mappedNames(source)
+{
+    let ast = ts.createSourceFile(source.filename, source.code, ts.ScriptTarget.Latest, true);
+    return createSourceMap(source, ast).map
+        .filter((x, i) => i % 2 == 0)
+        .map(x => [ x.name, x.originalLine, x.originalColumn ]);
+}
 
 test("slice", () => {
 
@@ -164,3 +196,773 @@ test("insert mapped", () => {
     assert.equal(ms.map[3].name, "world end");
 });
 
+test("flatten renamed re-exports", () => {
+
+    let r = flattenCode(`
+declare module "x" {
+    export class C { }
+    export function f(a: C): void;
+    export const v: number, w: string;
+}
+declare module "index" {
+    export { C as Klass, f as fn, v as value } from "x";
+}
+`);
+    assert.equal(r.code, `declare module "lib" {
+    export class Klass { }
+    export function fn(a: Klass): void;
+    export const value: number;
+
+}
+`);
+    assert.equal(r.diagnostics.length, 0);
+});
+
+test("flatten variable exported under two names", () => {
+
+    let r = flattenCode(`
+declare module "x" {
+    export const v: number;
+    export function f(a: typeof v): void;
+}
+declare module "index" {
+    export { v, v as value, f } from "x";
+}
+`);
+    assert.equal(r.code, `declare module "lib" {
+    export const v: number;
+    export const value: number;
+    export function f(a: typeof v): void;
+
+}
+`);
+});
+
+test("flatten default re-exports", () => {
+
+    let r = flattenCode(`
+declare module "foo" {
+    export default class Foo {
+    }
+}
+declare module "bar" {
+    export default function (): void;
+}
+declare module "index" {
+    export { default } from "foo";
+    export { default as bar } from "bar";
+}
+`);
+    assert.equal(r.code, `declare module "lib" {
+    export default class Foo {
+    }
+    export function bar(): void;
+
+}
+`);
+});
+
+test("flatten local exports of variables", () => {
+
+    let r = flattenCode(`
+declare module "index" {
+    const a: number, b: string, c: boolean;
+    export { a as default, b as value };
+}
+`);
+    assert.equal(r.code, `declare module "lib" {
+    const a: number;
+    export default a;
+    export const value: string;
+    export {};
+
+}
+`);
+});
+
+test("flatten re-exports of imported names", () => {
+
+    let r = flattenCode(`
+declare module "util" {
+    export function helper(): void;
+}
+declare module "index" {
+    import { X, Y as Z } from "ext";
+    import D from "ext2";
+    import { helper } from "util";
+    export { X, Z, D as default, helper };
+    export { missing };
+}
+`);
+    assert.equal(r.code, `declare module "lib" {
+    import type { X, Y as Z } from "ext";
+    import type ext2 from "ext2";
+    export { X };
+    export { Z };
+    export { ext2 as default };
+    export function helper(): void;
+
+}
+`);
+    assert.deepEqual(r.diagnostics.map(x => x.code), [ "DTS1002" ]);
+});
+
+test("flatten re-exports overloads and merged declarations", () => {
+
+    let r = flattenCode(`
+declare module "x" {
+    export function f(a: string): void;
+    export function f(a: number): void;
+    export class C { }
+    export namespace C {
+        const v: number;
+    }
+    export interface I { a: string }
+    export interface I { b: string }
+    export function value(): typeof C.v;
+}
+declare module "index" {
+    export { f, f as g, C as D, I as J, value } from "x";
+}
+`, { verify: true });
+    assert.equal(r.code, `declare module "lib" {
+    export function f(a: string): void;
+    export function f(a: number): void;
+    export function g(a: string): void;
+    export function g(a: number): void;
+    export class D { }
+    export namespace D {
+        const v: number;
+    }
+    export interface J { a: string }
+    export interface J { b: string }
+    export function value(): typeof D.v;
+
+}
+`);
+    assert.deepEqual(r.diagnostics, []);
+});
+
+test("flatten doesn't rename type parameters", () => {
+
+    let r = flattenCode(`
+declare module "x" {
+    export class C { }
+    interface T { }
+    export function f<C>(a: C): C;
+    export function g<T>(a: T): T;
+    export type M<T> = { [C in keyof T]: C };
+    export type U<X> = X extends Array<infer C> ? C : never;
+}
+declare module "index" {
+    export { C as Klass, f, g, M, U } from "x";
+}
+`);
+    assert.equal(r.code, `declare module "lib" {
+    export class Klass { }
+    export function f<C>(a: C): C;
+    export function g<T>(a: T): T;
+    export type M<T> = { [C in keyof T]: C };
+    export type U<X> = X extends Array<infer C> ? C : never;
+
+}
+`);
+});
+
+test("flatten strips and reports variables individually", () => {
+
+    let r = flattenCode(`
+declare module "index" {
+    /** doc */
+    export const c: number, _d: string;
+    /** @internal */
+    export function secret(): void;
+}
+`);
+    assert.equal(r.code, `declare module "lib" {
+    /** doc */
+    export const c: number;
+
+}
+`);
+    assert.deepEqual(r.stripped.map(x => [ x.name, x.kind, x.reason, x.line, x.column ]), [
+        [ "_d", "variable", "prefix", 4, 29 ],
+        [ "secret", "function", "internal", 6, 5 ],
+    ]);
+});
+
+test("flatten strip rules and release levels", () => {
+
+    let r = flattenCode(`
+declare module "index" {
+    export enum E { A, B }
+    /** @hidden */
+    export function hidden(): void;
+    export function _keep(): void;
+    export class C {
+        m(): void;
+        p: number;
+    }
+    /** @beta */
+    export function b(): E;
+}
+`, {
+        out: "public.d.ts",
+        releases: { beta: "beta.d.ts" },
+        strip: {
+            release: "public",
+            rules: [
+                { tag: "hidden" },
+                { name: "^_keep", action: "include" },
+                { kind: "method" },
+            ],
+        },
+        verify: true,
+    });
+
+    assert.equal(r.code, `declare module "lib" {
+    export enum E { A, B }
+    export function _keep(): void;
+    export class C {
+        p: number;
+    }
+
+}
+`);
+    assert.equal(r.files[1].filename, "beta.d.ts");
+    assert.match(r.files[1].code, /export function b\(\): E;/);
+
+    // Each release level is verified separately, so the enum isn't
+    // reported as declared twice
+    assert.deepEqual(r.diagnostics, []);
+
+    assert.deepEqual(r.stripped.map(x => [ x.out, x.name, x.reason ]), [
+        [ "public.d.ts", "hidden", "rule:hidden" ],
+        [ "public.d.ts", "C.m", "rule:method" ],
+        [ "public.d.ts", "b", "release:beta" ],
+        [ "beta.d.ts", "hidden", "rule:hidden" ],
+        [ "beta.d.ts", "C.m", "rule:method" ],
+    ]);
+});
+
+test("flatten cjs and esm output of export =", () => {
+
+    let r = flattenCode(`
+declare module "index" {
+    function lib(x: number): string;
+    namespace lib {
+        const version: string;
+    }
+    export = lib;
+}
+`, { format: [ "cjs", "esm" ], out: "lib.d.ts", verify: true });
+
+    assert.equal(r.files[0].filename, "lib.d.cts");
+    assert.equal(r.code, `declare function lib(x: number): string;
+declare namespace lib {
+    const version: string;
+}
+export = lib;
+`);
+    assert.equal(r.files[1].filename, "lib.d.mts");
+    assert.equal(r.files[1].code, `declare function lib(x: number): string;
+declare namespace lib {
+    const version: string;
+}
+export default lib;
+`);
+    assert.deepEqual(r.diagnostics, []);
+});
+
+test("flatten references between entries", () => {
+
+    let r = flattenCode(`
+declare module "types" {
+    export interface Opts { x: number }
+}
+declare module "server" {
+    import { Opts } from "types";
+    export function serve(o: Opts): void;
+}
+declare module "index" {
+    export * from "types";
+    export function start(): typeof import("server").serve;
+}
+`, { moduleName: null, entries: { "@my/lib": "index", "@my/lib/server": "server" } });
+
+    assert.equal(r.code, `declare module "@my/lib" {
+    export interface Opts { x: number }
+    export function start(): typeof import("@my/lib/server").serve;
+
+}
+
+declare module "@my/lib/server" {
+    export function serve(o: import("@my/lib").Opts): void;
+
+}
+`);
+    assert.deepEqual(r.diagnostics, []);
+});
+
+test("flatten imports heritage clause types from other entries", () => {
+
+    let r = flattenCode(`
+declare module "types" {
+    export class Base { }
+    export interface Opts { x: number }
+    export namespace N { interface I { } }
+}
+declare module "server" {
+    import { Base, Opts } from "types";
+    export class Server extends Base implements Opts {
+        x: number;
+        n: import("types").N.I;
+        m: import("types").Missing.I;
+    }
+}
+declare module "index" {
+    export * from "types";
+}
+`, { moduleName: null, entries: { "@my/lib": "index", "@my/lib/server": "server" } });
+
+    assert.equal(r.code, `declare module "@my/lib" {
+    export class Base { }
+    export interface Opts { x: number }
+    export namespace N { interface I { } }
+
+}
+
+declare module "@my/lib/server" {
+    import type { Base, Opts } from "@my/lib";
+    export class Server extends Base implements Opts {
+        x: number;
+        n: import("@my/lib").N.I;
+        m: import("types").Missing.I;
+    }
+
+}
+`);
+    assert.deepEqual(r.diagnostics.map(x => [ x.code, x.message ]), [
+        [ "DTS1006", "unresolved reference: 'Missing' in module 'types'" ],
+    ]);
+});
+
+test("flatten includes referenced declarations that aren't exported", () => {
+
+    let r = flattenCode(`
+declare module "a" {
+    interface Opts { y: string }
+    export function f(o: Opts): void;
+}
+declare module "index" {
+    interface Opts { x: number }
+    type Internal = { a: Opts };
+    export function g(o: Internal): void;
+    export * from "a";
+}
+`);
+    assert.equal(r.code, `declare module "lib" {
+    export function g(o: Internal): void;
+    export function f(o: Opts): void;
+    type Internal = { a: Opts_1 };
+    interface Opts { y: string }
+    interface Opts_1 { x: number }
+    export {};
+
+}
+`);
+    assert.deepEqual(r.diagnostics, []);
+});
+
+test("flatten references to default export targets and namespace imports", () => {
+
+    let r = flattenCode(`
+declare module "x" {
+    export class C { }
+    export namespace N { interface I { } }
+}
+declare module "index" {
+    import * as ns from "x";
+    class Foo { }
+    export default Foo;
+    export function make(): Foo;
+    export function f(a: ns.C, b: ns.N.I): ns.Missing;
+}
+`);
+    assert.equal(r.code, `declare module "lib" {
+    class Foo { }
+    export default Foo;
+    export function make(): Foo;
+    export function f(a: C, b: N.I): ns.Missing;
+    class C { }
+    namespace N { interface I { } }
+    export {};
+
+}
+`);
+    assert.deepEqual(r.diagnostics.map(x => [ x.code, x.message ]), [
+        [ "DTS1006", "unresolved reference: 'Missing' in module 'x'" ],
+    ]);
+});
+
+test("flatten hoists external imports", () => {
+
+    let r = flattenCode(`
+declare module "a" {
+    import { EventEmitter } from "node:events";
+    import type * as fs from "node:fs";
+    export class Foo extends EventEmitter { s: fs.Stats }
+}
+declare module "index" {
+    import { EventEmitter as EE } from "node:events";
+    import Default from "ext";
+    export * from "a";
+    export function bar(e: EE, d: Default): void;
+}
+`);
+    assert.equal(r.code, `declare module "lib" {
+    import type Default from "ext";
+    import type { EventEmitter } from "node:events";
+    import type * as fs from "node:fs";
+    export class Foo extends EventEmitter { s: fs.Stats }
+    export function bar(e: EventEmitter, d: Default): void;
+
+}
+`);
+});
+
+test("parse data URLs", () => {
+
+    let map = { version: 3, sources: [ "a.js" ], names: [], mappings: "AAAA" };
+    assert.deepEqual(parseDataURL(inlineSourceMapURL(map)), map);
+    assert.deepEqual(parseDataURL(`data:application/json,${encodeURIComponent(JSON.stringify(map))}`), map);
+    assert.throws(() => parseDataURL("a.js.map"), /invalid data URL/);
+});
+
+test("load inline and separate source maps", () => {
+
+    let map = { version: 3, sources: [ "a.js" ], names: [], mappings: "AAAA" };
+
+    let inline = loadSourceMap("a.d.ts", withSourceMappingURL("export {};", inlineSourceMapURL(map)));
+    assert.deepEqual(inline, { map, mapFile: null });
+
+    assert.equal(loadSourceMap("a.d.ts", "export {};"), null);
+
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "dts-tool-"));
+    try
+    {
+        let mapFile = path.join(dir, "a.d.ts.map");
+        fs.writeFileSync(mapFile, JSON.stringify(map));
+        let separate = loadSourceMap(path.join(dir, "a.d.ts"), withSourceMappingURL("export {};", "a.d.ts.map"));
+        assert.deepEqual(separate, { map, mapFile });
+    }
+    finally
+    {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test("compose a chain of source maps", () => {
+
+    // a.js → b.js
+    let ab = new SourceMapGenerator({ file: "b.js" });
+    ab.addMapping({ generated: { line: 1, column: 0 }, source: "../src/a.js", original: { line: 3, column: 4 }, name: "foo" });
+    ab.addMapping({ generated: { line: 1, column: 10 }, source: "../src/a.js", original: { line: 5, column: 2 } });
+    ab.setSourceContent("../src/a.js", "a content");
+
+    // b.js → c.js (the last mapping isn't from b.js, so is kept as is)
+    let bc = new SourceMapGenerator({ file: "c.js" });
+    bc.addMapping({ generated: { line: 2, column: 0 }, source: "b.js", original: { line: 1, column: 0 } });
+    bc.addMapping({ generated: { line: 2, column: 6 }, source: "b.js", original: { line: 1, column: 10 }, name: "bar" });
+    bc.addMapping({ generated: { line: 2, column: 12 }, source: "b.js", original: { line: 2, column: 0 } });
+    bc.addMapping({ generated: { line: 3, column: 0 }, source: "../src/x.js", original: { line: 1, column: 0 } });
+
+    let map = composeSourceMaps([
+        { map: ab.toJSON(), mapFile: "out/b.js.map" },
+        { map: bc.toJSON(), mapFile: "out/c.js.map" },
+    ], { mapFile: "out/c.js.map", sourcesContent: true });
+
+    assert.equal(map.file, "c.js");
+    assert.deepEqual(map.sources, [ "../src/a.js", "../src/x.js" ]);
+    assert.deepEqual(map.sourcesContent, [ "a content", null ]);
+
+    // The mapping to an unmapped position in b.js is dropped
+    let mappings = [];
+    new SourceMapConsumer(map, "/out/c.js.map").eachMapping(x => {
+        mappings.push([ x.generatedLine, x.generatedColumn, x.source, x.originalLine, x.originalColumn, x.name ]);
+    });
+    assert.deepEqual(mappings, [
+        [ 2, 0, "/src/a.js", 3, 4, "foo" ],
+        [ 2, 6, "/src/a.js", 5, 2, "bar" ],
+        [ 3, 0, "/src/x.js", 1, 0, null ],
+    ]);
+});
+
+test("flatten JavaScript entry outside the current directory", () => {
+
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "dts-tool-"));
+    try
+    {
+        let input = path.join(dir, "src", "a.js");
+        fs.mkdirSync(path.dirname(input));
+        fs.writeFileSync(input, `/**
+ * @param {number} a
+ * @returns {number}
+ */
+export function add(a) { return a; }
+`);
+        let r = flatten({ 
+            moduleName: "lib", 
+            input: [ input ], 
+            out: path.join(dir, "dist", "index.d.ts"), 
+            sourceMap: { sourcesContent: true },
+        });
+        assert.deepEqual(r.map.sources, [ "../src/a.js" ]);
+        assert.equal(r.map.sourcesContent[0], fs.readFileSync(input, "utf8"));
+        assert.ok(Array.from(r.dependencies).some(x => path.resolve(x) == input));
+    }
+    finally
+    {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test("extract dependencies include the map and original sources", () => {
+
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "dts-tool-"));
+    try
+    {
+        let input = path.join(dir, "a.d.ts");
+        let map = { version: 3, file: "a.d.ts", sources: [ "src/a.js" ], names: [], mappings: "AAAA" };
+        fs.writeFileSync(input, withSourceMappingURL("export {};", "a.d.ts.map"));
+        fs.writeFileSync(input + ".map", JSON.stringify(map));
+
+        let r = extract({ input });
+        assert.deepEqual(r.dependencies.map(x => path.resolve(x)), [
+            input,
+            input + ".map",
+            path.join(dir, "src", "a.js"),
+        ]);
+    }
+    finally
+    {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test("api diff version bumps", () => {
+
+    let r = apiDiff({
+        old: { filename: "old.d.ts", code: `declare module "@scope/lib" {
+    export function required(a: string): void;
+    export function removedParam(a: string, b?: number): void;
+    export function optional(a: string): void;
+    export function nowRequired(a?: string): void;
+    export function renamed(x: string): void;
+    export function retyped(a: string): string;
+    export function overloaded(a: string): void;
+    export function removed(): void;
+    export type Kind = string;
+    export class Widget {
+        get size(): number;
+        set size(value: number);
+        get name(): string;
+    }
+}
+` },
+        new: { filename: "new.d.ts", code: `declare module "@scope/lib" {
+    export function required(a: string, b: number): void;
+    export function removedParam(a: string): void;
+    export function optional(a: string, b?: number): void;
+    export function nowRequired(a: string): void;
+    export function renamed(y: string): void;
+    export function retyped(a: number): number;
+    export function overloaded(a: string): void;
+    export function overloaded(a: number): void;
+    export function added(): void;
+    export interface Kind { }
+    export class Widget {
+        get size(): number;
+        get name(): string;
+        set name(value: string);
+    }
+}
+` },
+    });
+
+    assert.equal(r.bump, "major");
+    assert.deepEqual(r.changes.map(x => [ x.namepath, x.change, x.bump, x.details ]), [
+        [ "module:@scope/lib.Kind", "changed", "major", [ "changed from type-alias to interface" ] ],
+        [ "module:@scope/lib.Widget#name", "changed", "minor", [ "overload added" ] ],
+        [ "module:@scope/lib.Widget#size", "changed", "major", [ "signature changed" ] ],
+        [ "module:@scope/lib.added", "added", "minor", undefined ],
+        [ "module:@scope/lib.nowRequired", "changed", "major", [ "parameter 'a' is now required" ] ],
+        [ "module:@scope/lib.optional", "changed", "minor", [ "optional parameter 'b' added" ] ],
+        [ "module:@scope/lib.overloaded", "changed", "minor", [ "overload added" ] ],
+        [ "module:@scope/lib.removed", "removed", "major", undefined ],
+        [ "module:@scope/lib.removedParam", "changed", "major", [ "parameter 'b' removed" ] ],
+        [ "module:@scope/lib.renamed", "changed", "patch", [ "parameter 'x' renamed to 'y'" ] ],
+        [ "module:@scope/lib.required", "changed", "major", [ "required parameter 'b' added" ] ],
+        [ "module:@scope/lib.retyped", "changed", "major", [ 
+            "parameter 'a' type changed from 'string' to 'number'",
+            "return type changed from 'string' to 'number'",
+        ] ],
+    ]);
+});
+
+test("api diff of unchanged api is a patch", () => {
+
+    let code = `declare module "@scope/lib" {
+    /** Documentation changes don't affect the API */
+    export function f(a: string): void;
+}
+`;
+    let r = apiDiff({ 
+        old: { filename: "old.d.ts", code }, 
+        new: { filename: "new.d.ts", code: code.replace("Documentation", "Comment") },
+    });
+    assert.deepEqual(r, { bump: "patch", changes: [] });
+});
+
+test("read package entries", () => {
+
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "dts-tool-"));
+    let packageFile = path.join(dir, "package.json");
+    function read(pkg)
+    {
+        let warnings = [];
+        fs.writeFileSync(packageFile, JSON.stringify(pkg));
+        let entries = readPackageEntries(packageFile, x => warnings.push(x));
+        return { entries, warnings };
+    }
+
+    try
+    {
+        // Nested conditions, array targets and unsupported sub-paths
+        assert.deepEqual(read({ 
+            name: "@my/lib", 
+            exports: {
+                ".": { 
+                    import: { types: "./dist/index.d.mts", default: "./dist/index.mjs" }, 
+                    require: "./dist/index.cjs",
+                },
+                "./server": [ "./dist/server.js" ],
+                "./package.json": "./package.json",
+                "./utils/*": "./dist/utils/*.js",
+            },
+        }), {
+            entries: [
+                { name: "@my/lib", jsFile: "dist/index.mjs", typesFile: "dist/index.d.mts" },
+                { name: "@my/lib/server", jsFile: "dist/server.js", typesFile: "dist/server.d.ts" },
+            ],
+            warnings: [ `${packageFile}: wildcard export './utils/*' not supported, ignored` ],
+        });
+
+        // Conditions for the main entry point only
+        assert.deepEqual(read({ name: "lib", exports: { types: "./types.d.ts", default: "./index.js" } }).entries, [
+            { name: "lib", jsFile: "index.js", typesFile: "types.d.ts" },
+        ]);
+
+        // No exports map, falls back to main and types/typings
+        assert.deepEqual(read({ name: "lib", main: "lib/main.js", types: "lib/types.d.ts" }).entries, [
+            { name: "lib", jsFile: "lib/main.js", typesFile: "lib/types.d.ts" },
+        ]);
+        assert.deepEqual(read({ name: "lib", typings: "index.d.ts" }).entries, [
+            { name: "lib", jsFile: "index.js", typesFile: "index.d.ts" },
+        ]);
+        assert.deepEqual(read({ name: "lib", main: "./lib/main.cjs" }).entries, [
+            { name: "lib", jsFile: "lib/main.cjs", typesFile: "lib/main.d.cts" },
+        ]);
+
+        assert.throws(() => read({ main: "index.js" }), /missing package name/);
+    }
+    finally
+    {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test("source map declarations without a map", () => {
+
+    let source = new SourceFile("in.d.ts", `declare class C<T> {
+    constructor(a: T);
+    m(b: number, { c }: { c: string }): void;
+}
+declare enum E { A, B = 2 }
+interface I { p: string; q(r: number): void }
+`, null);
+
+    // Destructured parameters aren't mapped (but the type literal's members are)
+    assert.deepEqual(mappedNames(source), [
+        [ "C", 1, 14 ], [ "T", 1, 16 ], [ "constructor", 2, 4 ], [ "a", 2, 16 ], 
+        [ "m", 3, 4 ], [ "b", 3, 6 ], [ "c", 3, 26 ],
+        [ "E", 5, 13 ], [ "A", 5, 17 ], [ "B", 5, 20 ],
+        [ "I", 6, 10 ], [ "p", 6, 14 ], [ "q", 6, 25 ], [ "r", 6, 27 ],
+    ]);
+});
+
+test("source map declarations compiled from JavaScript", () => {
+
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "dts-tool-"));
+    try
+    {
+        let input = path.join(dir, "a.js");
+        fs.writeFileSync(input, `/**
+ * @template T
+ */
+export class Box
+{
+    /**
+     * @param {T} value
+     */
+    constructor(value)
+    {
+        this.value = value;
+    }
+
+    /**
+     * @param {number} count
+     * @returns {T[]}
+     */
+    fill(count) { return []; }
+}
+`);
+        let compiled = compileDeclarations([ input ]);
+        assert.deepEqual(mappedNames(compiled.source), [
+            [ "Box", 4, 13 ], [ "T", 2, 13 ], [ "constructor", 9, 4 ], [ "value", 9, 16 ], 
+            [ "value", 11, 13 ], [ "fill", 18, 4 ], [ "count", 18, 9 ],
+        ]);
+    }
+    finally
+    {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test("verify map of renamed output", () => {
+
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "dts-tool-"));
+    try
+    {
+        let input = path.join(dir, "in.d.ts");
+        let out = path.join(dir, "out.d.ts");
+        fs.writeFileSync(input, `declare module "a" {
+    export class Foo { }
+}
+declare module "index" {
+    export { Foo as Bar } from "a";
+}
+`);
+        let r = flatten({ moduleName: "lib", input: [ input ], out, sourceMap: { names: true } });
+        assert.match(r.code, /export class Bar/);
+        assert.deepEqual(r.map.names, [ "Foo" ]);
+
+        let result = verifySourceMap(SourceFile.fromCode(out, r.code, r.map));
+        assert.equal(result.total, 2);
+        assert.deepEqual(result.problems, []);
+    }
+    finally
+    {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
@@ -0,0 +1,143 @@
+/**
+ * Generates a unified diff between two texts
+ * @param {string} oldText The original text
+ * @param {string} newText The new text
+ * @param {string} oldName The name of the original file (shown in the diff header)
+ * @param {string} newName The name of the new file (shown in the diff header)
+ * @param {number} [context] The number of unchanged lines to show around each change (default 3)
+ * @returns {string} The diff, or an empty string if the texts are the same
+ */
+export function unifiedDiff(oldText, newText, oldName, newName, context)
+{
+    context = context ?? 3;
+
+    let a = splitLines(oldText);
+    let b = splitLines(newText);
+    let ops = diffLines(a, b);
+    if (!ops.some(x => x.op != " "))
+        return "";
+
+    let out = [ `--- ${oldName}`, `+++ ${newName}` ];
+
+    // Group operations into hunks
+    let i = 0;
+    while (i < ops.length)
+    {
+        // Find next change
+        while (i < ops.length && ops[i].op == " ")
+            i++;
+        if (i == ops.length)
+            break;
+
+        // Hunk starts with leading context
+        let start = Math.max(0, i - context);
+
+        // Extend while changes are within 2 * context of each other
+        let end = i;
+        while (end < ops.length)
+        {
+            if (ops[end].op != " ")
+            {
+                end++;
+                continue;
+            }
+            let next = end;
+            while (next < ops.length && ops[next].op == " ")
+                next++;
+            if (next == ops.length || next - end > context * 2)
+                break;
+            end = next;
+        }
+        end = Math.min(ops.length, end + context);
+
+        // Write hunk
+        let hunk = ops.slice(start, end);
+        let oldCount = hunk.filter(x => x.op != "+").length;
+        let newCount = hunk.filter(x => x.op != "-").length;
+        let oldStart = oldCount ? ops[start].oldLine + 1 : ops[start].oldLine;
+        let newStart = newCount ? ops[start].newLine + 1 : ops[start].newLine;
+        out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        hunk.forEach(x => out.push(x.op + x.text));
+
+        i = end;
+    }
+
+    return out.join("\n") + "\n";
+}
+
+function splitLines(text)
+{
+    let lines = text.split(/\r?\n/);
+    if (lines[lines.length - 1] == "")
+        lines.pop();
+    return lines;
+}
+
+// Works out the line operations (" " unchanged, "-" removed, "+" added)
+// to turn a into b using the longest common subsequence
+function diffLines(a, b)
+{
+    // Skip common prefix and suffix
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] == b[prefix])
+        prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] == b[b.length - 1 - suffix])
+        suffix++;
+
+    // LCS lengths of the remaining lines
+    let n = a.length - prefix - suffix;
+    let m = b.length - prefix - suffix;
+    let lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--)
+    {
+        for (let j = m - 1; j >= 0; j--)
+        {
+            if (a[prefix + i] == b[prefix + j])
+                lcs[i * (m + 1) + j] = lcs[(i + 1) * (m + 1) + j + 1] + 1;
+            else
+                lcs[i * (m + 1) + j] = Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+        }
+    }
+
+    let ops = [];
+    let oldLine = 0;
+    let newLine = 0;
+    function push(op, text)
+    {
+        ops.push({ op, text, oldLine, newLine });
+        if (op != "+")
+            oldLine++;
+        if (op != "-")
+            newLine++;
+    }
+
+    for (let i = 0; i < prefix; i++)
+        push(" ", a[i]);
+
+    let i = 0, j = 0;
+    while (i < n || j < m)
+    {
+        if (i < n && j < m && a[prefix + i] == b[prefix + j])
+        {
+            push(" ", a[prefix + i]);
+            i++;
+            j++;
+        }
+        else if (j == m || (i < n && lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]))
+        {
+            push("-", a[prefix + i]);
+            i++;
+        }
+        else
+        {
+            push("+", b[prefix + j]);
+            j++;
+        }
+    }
+
+    for (let i = a.length - suffix; i < a.length; i++)
+        push(" ", a[i]);
+
+    return ops;
+}
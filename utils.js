@@ -38,12 +38,30 @@ export function stripQuotes(str)
     return str;
 }
 
-export function isPrivateOrInternal(node)
+export function isPrivateOrInternal(node, keepInternal)
 {
     if ((ts.getCombinedModifierFlags(node) & ts.ModifierFlags.Private) != 0)
         return true;
-    if (ts.isInternalDeclaration(node))
+    if (!keepInternal && (ts.isInternalDeclaration(node) || getJSDocTagNames(node).includes("internal")))
         return true;
 
     return false;
-}
\ No newline at end of file
+}
+
+export function getJSDocTagNames(node)
+{
+    let tags = ts.getJSDocTags(node).map(x => x.tagName.text);
+    for (let doc of node.jsDoc ?? [])
+        tags.push(...(doc.tags ?? []).map(x => x.tagName.text));
+    return tags;
+}
+
+export function isDefaultExport(node)
+{
+    return (ts.getCombinedModifierFlags(node) & ts.ModifierFlags.Default) != 0;
+}
+
+export function isGlobalAugmentation(node)
+{
+    return (node.flags & ts.NodeFlags.GlobalAugmentation) != 0;
+}
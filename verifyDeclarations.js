@@ -0,0 +1,59 @@
+import path from 'node:path';
+import ts from 'typescript';
+import { SourceFile } from "./SourceFile.js";
+import { fromTypeScriptDiagnostic } from "./diagnostics.js";
+
+/**
+ * Type checks a set of generated declaration files by loading them
+ * into an in-memory TypeScript program.
+ *
+ * The standard library and any package types in node_modules are
+ * available to the program.  Errors are mapped back through each
+ * file's source map to the original source where possible.
+ *
+ * @param {{filename: string, code: string, map?: object}[]} files The generated files
+ * @param {object} [compilerOptions] Additional TypeScript compiler options
+ * @returns {import("./diagnostics.js").Diagnostic[]}
+ */
+export function verifyDeclarations(files, compilerOptions)
+{
+    let options = Object.assign({
+        noEmit: true,
+        strict: true,
+        target: ts.ScriptTarget.ES2022,
+        module: ts.ModuleKind.ESNext,
+        moduleResolution: ts.ModuleResolutionKind.Bundler,
+    }, compilerOptions);
+
+    // Serve the generated files from memory
+    let generated = new Map(files.map(x => [ path.resolve(x.filename), x ]));
+    let host = ts.createCompilerHost(options);
+    let getSourceFile = host.getSourceFile;
+    let fileExists = host.fileExists;
+    let readFile = host.readFile;
+    host.getSourceFile = (fileName, languageVersion, onError, shouldCreate) => {
+        let file = generated.get(path.resolve(fileName));
+        if (file)
+            return ts.createSourceFile(fileName, file.code, languageVersion, true);
+        return getSourceFile.call(host, fileName, languageVersion, onError, shouldCreate);
+    };
+    host.fileExists = (fileName) => generated.has(path.resolve(fileName)) || fileExists.call(host, fileName);
+    host.readFile = (fileName) => generated.get(path.resolve(fileName))?.code ?? readFile.call(host, fileName);
+
+    let program = ts.createProgram(Array.from(generated.keys()), options, host);
+
+    // Only report problems in the generated files
+    let diagnostics = [];
+    for (let [fileName, file] of generated)
+    {
+        let sourceFile = program.getSourceFile(fileName);
+        let errors = program.getSyntacticDiagnostics(sourceFile)
+            .concat(program.getSemanticDiagnostics(sourceFile));
+        if (!errors.length)
+            continue;
+
+        let source = SourceFile.fromCode(file.filename, file.code, file.map ?? null);
+        diagnostics.push(...errors.map(x => fromTypeScriptDiagnostic(x, source)));
+    }
+    return diagnostics;
+}
@@ -0,0 +1,126 @@
+import fs from 'node:fs';
+import { SourceFile } from "./SourceFile.js";
+import { findOriginalName } from "./sourceMap.js";
+
+/**
+ * @typedef MapProblem
+ * @property {number} generatedLine The generated line number
+ * @property {number} generatedColumn The generated column number
+ * @property {string} source The original source file (relative to the current directory)
+ * @property {number} originalLine The original line number
+ * @property {number} originalColumn The original column number
+ * @property {string} message Description of the problem
+ */
+
+/**
+ * @typedef VerifyMapResult
+ * @property {number} total The number of mappings checked
+ * @property {MapProblem[]} problems The mappings that failed (one problem per mapping)
+ */
+
+/**
+ * Checks the mappings in a file's source map.
+ *
+ * For each mapping, checks the generated position is at the start or end
+ * of an identifier, the original source file exists, the original position
+ * is in range and that searching for the identifier (or the mapping's name,
+ * if it was renamed) in the original source (the same way createSourceMap
+ * does) finds it at the mapped position.
+ *
+ * @param {SourceFile} sourceFile The generated file, with its source map
+ * @returns {VerifyMapResult}
+ */
+export function verifySourceMap(sourceFile)
+{
+    let generatedLines = sourceFile.code.split("\n");
+    let originals = new Map();
+    let total = 0;
+    let problems = [];
+
+    sourceFile.sourceMap.eachMapping(x => {
+        if (x.source == null)
+            return;
+
+        total++;
+        let message = checkMapping(x);
+        if (message)
+        {
+            problems.push({
+                generatedLine: x.generatedLine,
+                generatedColumn: x.generatedColumn,
+                source: sourceFile.originalFileName(x.source),
+                originalLine: x.originalLine,
+                originalColumn: x.originalColumn,
+                message,
+            });
+        }
+    });
+
+    return { total, problems };
+
+    // Check a mapping, returning a description of the problem (or null)
+    function checkMapping(x)
+    {
+        // Generated position
+        let ident = identifierAt(generatedLines[x.generatedLine - 1], x.generatedColumn);
+        if (!ident)
+            return "generated position isn't on an identifier";
+
+        // Original source
+        let original = loadOriginal(sourceFile.originalFileName(x.source));
+        if (!original)
+            return "original source not found";
+        let line = original.lines[x.originalLine - 1];
+        if (line == null || x.originalColumn > line.length)
+            return "original position out of range";
+
+        // Original name (the mapping's name is the original name when
+        // the identifier was renamed)
+        let name = x.name ?? ident.name;
+        let pos = findOriginalName(original.sourceFile, x.originalLine, name);
+        if (!pos)
+            return `'${name}' not found in original source`;
+        if (!ident.atStart)
+            pos.column += name.length;
+        if (pos.line != x.originalLine || pos.column != x.originalColumn)
+            return `'${name}' is at ${pos.line}:${pos.column}`;
+
+        return null;
+    }
+
+    // Load (and cache) an original source file
+    function loadOriginal(filename)
+    {
+        if (!originals.has(filename))
+        {
+            let original = null;
+            if (fs.existsSync(filename))
+            {
+                let code = fs.readFileSync(filename, "utf8");
+                original = {
+                    sourceFile: new SourceFile(filename, code, null),
+                    lines: code.split("\n"),
+                };
+            }
+            originals.set(filename, original);
+        }
+        return originals.get(filename);
+    }
+}
+
+// Find the identifier that starts or ends at a column
+function identifierAt(text, column)
+{
+    if (text == null)
+        return null;
+    for (let m of text.matchAll(/#?[\p{ID_Start}$_][\p{ID_Continue}$\u200c\u200d]*/gu))
+    {
+        if (m.index == column)
+            return { name: m[0], atStart: true };
+        if (m.index + m[0].length == column)
+            return { name: m[0], atStart: false };
+        if (m.index > column)
+            break;
+    }
+    return null;
+}
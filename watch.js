@@ -0,0 +1,73 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Runs a build function and then watches the files it depends on,
+ * re-running it whenever any of them change.
+ *
+ * Errors thrown by the build function are reported and watching
+ * continues.
+ *
+ * @param {(dependencies: Set<string>) => void} build The build function.  It
+ * should add the name of each file it depends on to the passed set.
+ * @returns {void}
+ */
+export function watchFiles(build)
+{
+    let watched = new Set();
+    let timer = null;
+    run();
+
+    function run()
+    {
+        timer = null;
+
+        // Build
+        let dependencies = new Set();
+        let failed = false;
+        try
+        {
+            build(dependencies);
+        }
+        catch (err)
+        {
+            console.error(err.message);
+            failed = true;
+        }
+
+        // Normalize file names
+        let files = new Set(Array.from(dependencies).map(x => path.resolve(x)));
+
+        // A failed build might not have got far enough to find all
+        // its dependencies, so keep watching the previous files too
+        if (failed)
+            watched.forEach(x => files.add(x));
+
+        // Update watched files
+        for (let f of watched)
+        {
+            if (!files.has(f))
+                fs.unwatchFile(f, changed);
+        }
+        for (let f of files)
+        {
+            if (!watched.has(f))
+                fs.watchFile(f, { interval: 250 }, changed);
+        }
+        watched = files;
+
+        console.error(`${failed ? "build failed, " : ""}watching ${watched.size} file(s) for changes...`);
+    }
+
+    function changed(curr, prev)
+    {
+        if (curr.mtimeMs == prev.mtimeMs)
+            return;
+
+        // Wait for things to settle, since multiple
+        // files are often written at once
+        if (timer)
+            clearTimeout(timer);
+        timer = setTimeout(run, 100);
+    }
+}